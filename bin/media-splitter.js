@@ -0,0 +1,412 @@
+#!/usr/bin/env node
+// Command-line splitter. Plans parts with the same core as the web app, so
+// file names and cut points match the browser for the same settings, then
+// runs the bundled ffmpeg/ffprobe binaries.
+
+import { spawn } from 'node:child_process'
+import { realpathSync } from 'node:fs'
+import { mkdir, mkdtemp, readFile, readdir, rm, stat, unlink, writeFile } from 'node:fs/promises'
+import os from 'node:os'
+import path from 'node:path'
+import { pathToFileURL } from 'node:url'
+import { parseArgs } from 'node:util'
+import ffmpegPath from 'ffmpeg-static'
+import ffprobe from 'ffprobe-static'
+import {
+  buildConcatArgs,
+  buildConcatFilterArgs,
+  chapterMetadata,
+  chapterProbeArgs,
+  concatList,
+  createManifest,
+  createSplitPlan,
+  createStreamPlan,
+  DEFAULT_NAMING,
+  DEFAULT_SETTINGS,
+  PROFILES,
+  describeSegment,
+  findProfile,
+  formatManifest,
+  formatTime,
+  halveSegment,
+  joinChapters,
+  joinCompatibility,
+  joinOutputName,
+  keyframeProbeArgs,
+  LADDER,
+  MANIFEST_FORMATS,
+  mediaProbeArgs,
+  namingProblem,
+  packetProbeArgs,
+  parseChapters,
+  parseKeyframes,
+  parseManifest,
+  parseMediaInfo,
+  parsePackets,
+  splitFileName,
+  STREAM_FORMATS,
+  videoFrameRate,
+} from '../src/core/index.js'
+
+const USAGE = `Usage: media-splitter [options] <file or directory>...
+       media-splitter --join [--fast | --compatible] [--chapters] <file>...
+
+Split modes (pick one, default --parts 2):
+  --parts <n>        equal parts
+  --size <mb>        parts of at most <mb> megabytes
+  --time <seconds>   parts of <seconds> each
+  --chapters         one part per embedded chapter
+  --plan <file>      the part ranges of a JSON or CSV manifest from --manifest
+
+Encoding:
+  --compatible       re-encode to H.264/AAC for perfect seeking (default)
+  --fast             stream copy, cut on keyframes
+  --no-snap          with --fast, cut at the exact times instead of keyframes
+  --no-strict        with --size, estimate parts from the file size only
+  --all-streams      keep every audio, subtitle and attachment stream
+  --profile <id>     re-encode profile for --compatible (default: h264), one of:
+${PROFILES.map(p => `                       ${p.id.padEnd(16)} ${p.label}`).join('\n')}
+
+Padding:
+  --overlap <seconds>   repeat the end of the previous part at the start of the next
+  --pre-roll <seconds>  extra time before every part
+  --post-roll <seconds> extra time after every part
+  --fade <seconds>      with --compatible, fade audio and video in and out
+
+Streaming (instead of parts):
+  --stream <type>    hls or dash, segmented every --time seconds (default ${DEFAULT_SETTINGS.time})
+  --fmp4             with --stream hls, fragmented MP4 instead of MPEG-TS segments
+  --ladder <heights> with --compatible, renditions behind a master playlist,
+                     from ${LADDER.map(r => r.height).join(', ')} (e.g. --ladder 720,360)
+
+Output:
+  -o, --out <dir>    output directory (default: current directory)
+  --name <template>  part names from tokens: {name} {index} {index:03} {total}
+                     {start} {end} {title} {ext} (default: ${DEFAULT_NAMING})
+  --tag              write a "Part 3 of 12" title and track number into each part
+  --manifest <type>  also write <name>_parts.<ext> describing the parts, one of:
+                     ${MANIFEST_FORMATS.map(f => f.id).join(', ')}
+  -h, --help         show this help
+
+Joining:
+  --join             join the files, in the order given, into one
+                     <first name>_joined file; with --fast they are stream-copied
+                     when their streams match, otherwise re-encoded with --profile
+  --chapters         with --join, add a chapter at every join point
+
+Directories are expanded to the media files they contain.`
+
+const MEDIA_EXTENSIONS = new Set([
+  'mp4', 'm4v', 'mov', 'mkv', 'webm', 'avi', 'ts', 'mts', 'm2ts', 'flv', 'wmv', 'mpg', 'mpeg', '3gp',
+  'mp3', 'm4a', 'aac', 'wav', 'flac', 'ogg', 'opus', 'wma',
+])
+
+class UsageError extends Error {}
+
+const run = (binary, args, options = {}) => new Promise((resolve, reject) => {
+  const child = spawn(binary, args, { ...options, stdio: ['ignore', 'pipe', 'pipe'] })
+  const stdout = []
+  const stderr = []
+  child.stdout.on('data', chunk => stdout.push(chunk))
+  child.stderr.on('data', chunk => stderr.push(chunk))
+  child.on('error', reject)
+  child.on('close', code => {
+    if (code === 0) resolve(Buffer.concat(stdout).toString())
+    else reject(new Error(Buffer.concat(stderr).toString().trim().split('\n').pop() || `${path.basename(binary)} exited with code ${code}`))
+  })
+})
+
+const probe = (args) => run(ffprobe.path, args)
+
+const probeDuration = async (file) => {
+  const text = await probe(['-v', 'error', '-show_entries', 'format=duration', '-of', 'default=noprint_wrappers=1:nokey=1', file])
+  const duration = parseFloat(text)
+  if (!Number.isFinite(duration) || duration <= 0) throw new Error('could not read the media duration')
+  return duration
+}
+
+export const parseOptions = async (argv) => {
+  let parsed
+  try {
+    parsed = parseArgs({
+      args: argv,
+      allowPositionals: true,
+      options: {
+        parts: { type: 'string' },
+        size: { type: 'string' },
+        time: { type: 'string' },
+        chapters: { type: 'boolean' },
+        plan: { type: 'string' },
+        fast: { type: 'boolean' },
+        compatible: { type: 'boolean' },
+        'no-snap': { type: 'boolean' },
+        'no-strict': { type: 'boolean' },
+        'all-streams': { type: 'boolean' },
+        profile: { type: 'string' },
+        overlap: { type: 'string' },
+        'pre-roll': { type: 'string' },
+        'post-roll': { type: 'string' },
+        fade: { type: 'string' },
+        out: { type: 'string', short: 'o' },
+        name: { type: 'string' },
+        tag: { type: 'boolean' },
+        manifest: { type: 'string' },
+        stream: { type: 'string' },
+        join: { type: 'boolean' },
+        fmp4: { type: 'boolean' },
+        ladder: { type: 'string' },
+        help: { type: 'boolean', short: 'h' },
+      },
+    })
+  } catch (err) {
+    throw new UsageError(err.message)
+  }
+  const { values, positionals } = parsed
+  if (values.help) return { help: true }
+
+  if (values.join) {
+    const splitFlags = ['parts', 'size', 'time', 'plan', 'stream', 'manifest', 'ladder'].filter(flag => values[flag] !== undefined)
+    if (splitFlags.length > 0) throw new UsageError(`--${splitFlags[0]} does not apply to --join`)
+  }
+  const modes = ['parts', 'size', 'time', 'chapters', 'plan'].filter(mode => values[mode] !== undefined && !values.join)
+  if (modes.length > 1) throw new UsageError(`choose one split mode, got --${modes.join(' and --')}`)
+  if (values.fast && values.compatible) throw new UsageError('choose either --fast or --compatible')
+  if (positionals.length === 0) throw new UsageError('no input files given')
+
+  const number = (flag, min) => {
+    if (values[flag] === undefined) return undefined
+    const value = Number(values[flag])
+    if (!Number.isFinite(value) || value < min) throw new UsageError(`--${flag} must be a number of at least ${min}`)
+    return value
+  }
+  const profile = findProfile(values.profile || 'h264')
+  if (!profile) throw new UsageError(`unknown profile '${values.profile}'`)
+  if (values.profile && values.fast) throw new UsageError('--profile only applies to --compatible')
+  if (values.fade && values.fast) throw new UsageError('--fade only applies to --compatible')
+
+  const parts = number('parts', 2)
+  if (parts !== undefined && !Number.isInteger(parts)) throw new UsageError('--parts must be a whole number')
+  if (namingProblem(values.name)) throw new UsageError('--name needs {index} so that each part gets its own name')
+  if (values.manifest && !MANIFEST_FORMATS.some(f => f.id === values.manifest)) throw new UsageError(`unknown manifest format '${values.manifest}'`)
+
+  if (values.stream && !STREAM_FORMATS.some(f => f.id === values.stream)) throw new UsageError(`unknown stream type '${values.stream}'`)
+  const streamModes = modes.filter(mode => mode !== 'time')
+  if (values.stream && streamModes.length > 0) throw new UsageError(`--stream cuts segments by --time, not --${streamModes[0]}`)
+  if (!values.stream && (values.fmp4 || values.ladder)) throw new UsageError(`--${values.fmp4 ? 'fmp4' : 'ladder'} only applies to --stream`)
+  const ladder = values.ladder ? values.ladder.split(',').map(Number) : []
+  const unknownRung = ladder.find(height => !LADDER.some(r => r.height === height))
+  if (unknownRung !== undefined) throw new UsageError(`--ladder heights must be among ${LADDER.map(r => r.height).join(', ')}`)
+  if (ladder.length > 0 && values.fast) throw new UsageError('--ladder only applies to --compatible')
+
+  // A plan only brings its ranges; the flags given here still set the encoding
+  let ranges
+  if (values.plan) {
+    const text = await readFile(values.plan, 'utf8').catch(() => {
+      throw new UsageError(`cannot read the plan ${values.plan}`)
+    })
+    try {
+      ranges = parseManifest(text).ranges
+    } catch (err) {
+      throw new UsageError(`${values.plan}: ${err.message}`)
+    }
+  }
+
+  // Defaults follow the web app's initial settings
+  return {
+    inputs: positionals,
+    outDir: path.resolve(values.out || '.'),
+    manifest: values.manifest,
+    join: values.join && { markers: Boolean(values.chapters) },
+    stream: values.stream && {
+      format: values.stream,
+      segmentSeconds: number('time', 1) ?? DEFAULT_SETTINGS.time,
+      encoding: values.fast ? 'fast' : 'compatible',
+      profile,
+      segmentType: values.fmp4 ? 'fmp4' : 'ts',
+      ladder,
+    },
+    options: {
+      mode: ranges ? 'custom' : modes[0] || 'parts',
+      ranges,
+      parts: parts ?? DEFAULT_SETTINGS.parts,
+      size: number('size', 1) ?? DEFAULT_SETTINGS.size,
+      time: number('time', 1) ?? DEFAULT_SETTINGS.time,
+      encoding: values.fast ? 'fast' : 'compatible',
+      profile,
+      overlap: number('overlap', 0) ?? 0,
+      preRoll: number('pre-roll', 0) ?? 0,
+      postRoll: number('post-roll', 0) ?? 0,
+      fades: values.fade ? { audio: true, video: true, seconds: number('fade', 0.1) } : undefined,
+      snapKeyframes: !values['no-snap'],
+      strictSize: !values['no-strict'],
+      allStreams: Boolean(values['all-streams']),
+      naming: values.name || '',
+      tagParts: Boolean(values.tag),
+    },
+  }
+}
+
+const expandInputs = async (inputs) => {
+  const files = []
+  for (const input of inputs) {
+    const info = await stat(input).catch(() => null)
+    if (!info) throw new UsageError(`no such file or directory: ${input}`)
+    if (!info.isDirectory()) {
+      files.push(path.resolve(input))
+      continue
+    }
+    const names = (await readdir(input)).sort()
+    const media = names.filter(name => MEDIA_EXTENSIONS.has(name.split('.').pop().toLowerCase()))
+    if (media.length === 0) console.warn(`warning: no media files in ${input}`)
+    files.push(...media.map(name => path.resolve(input, name)))
+  }
+  return files
+}
+
+// Mirrors `planMedia` in the web app: probe only what the chosen mode needs.
+const planFile = async (file, options) => {
+  const { size } = await stat(file)
+  const input = { name: path.basename(file), path: file, size, duration: await probeDuration(file) }
+
+  if (options.mode === 'size' && options.strictSize && options.encoding === 'fast') {
+    input.packets = parsePackets(await probe(packetProbeArgs(file)))
+  } else if (options.mode === 'chapters') {
+    input.chapters = parseChapters(await probe(chapterProbeArgs(file)))
+    if (input.chapters.length === 0) throw new Error('the file has no embedded chapters')
+  } else if (options.encoding === 'fast' && options.snapKeyframes) {
+    input.keyframes = parseKeyframes(await probe(keyframeProbeArgs(file)))
+  }
+  return { ...createSplitPlan(input, options), input, options }
+}
+
+// Mirrors `exportSegments` in the web app, including re-splitting parts
+// that come out over the size cap. Returns the parts as manifest entries.
+const exportFile = async (plan, outDir) => {
+  const { input, options, cutPoints, capBytes } = plan
+  const written = []
+  const queue = [...plan.segments]
+  while (queue.length > 0) {
+    const segment = describeSegment(queue.shift(), written.length, input, options, written.length + queue.length + 1)
+    await run(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...segment.args], { cwd: outDir })
+
+    const output = path.join(outDir, segment.name)
+    const { size } = await stat(output)
+    if (capBytes && size > capBytes) {
+      await unlink(output)
+      const halves = halveSegment(segment, cutPoints)
+      if (!halves) throw new Error(`part ${written.length + 1} cannot be made smaller than ${Math.round(capBytes / (1024 * 1024))} MB`)
+      queue.unshift(...halves)
+      continue
+    }
+
+    written.push({ index: segment.index, name: segment.name, start: segment.start, end: segment.end, size, title: segment.title })
+    console.log(`  ${segment.name}  ${formatTime(segment.start)} - ${formatTime(segment.end)}  ${(size / (1024 * 1024)).toFixed(2)} MB`)
+  }
+  return written
+}
+
+// Writes an HLS or DASH presentation of `file` straight into `outDir`.
+const streamFile = async (file, stream, outDir) => {
+  const { size } = await stat(file)
+  const input = { name: path.basename(file), path: file, size, duration: await probeDuration(file) }
+  const plan = createStreamPlan(input, stream, outDir)
+  await run(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...plan.args])
+  console.log(`  ${plan.playlist}`)
+}
+
+// Mirrors `joinMedia` in the web app.
+const joinFiles = async (paths, { markers }, options, outDir) => {
+  if (paths.length < 2) throw new UsageError('--join needs at least two files')
+  const files = []
+  for (const file of paths) {
+    console.log(`  ${path.basename(file)}`)
+    files.push({ name: path.basename(file), path: file, info: parseMediaInfo(await probe(mediaProbeArgs(file))) })
+  }
+  const tmp = await mkdtemp(path.join(os.tmpdir(), 'media-splitter-'))
+  try {
+    let metadataPath
+    if (markers) {
+      metadataPath = path.join(tmp, 'chapters.txt')
+      await writeFile(metadataPath, chapterMetadata(joinChapters(files.map(f => ({ name: f.name, duration: f.info.duration })))))
+    }
+    const { compatible, problems } = joinCompatibility(files)
+    if (options.encoding === 'fast' && compatible) {
+      const name = joinOutputName(files[0].name, path.extname(files[0].name).slice(1))
+      const listPath = path.join(tmp, 'join.txt')
+      await writeFile(listPath, concatList(paths))
+      try {
+        await run(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...buildConcatArgs(listPath, path.join(outDir, name), metadataPath)])
+        return name
+      } catch (err) {
+        console.warn(`warning: joining without re-encoding failed (${err.message}), re-encoding instead`)
+      }
+    } else if (options.encoding === 'fast') {
+      for (const problem of problems) console.warn(`warning: ${problem}`)
+      console.warn('warning: the files do not match, so they are re-encoded')
+    }
+    const name = joinOutputName(files[0].name, options.profile.container)
+    await run(ffmpegPath, ['-hide_banner', '-loglevel', 'error', '-y', ...buildConcatFilterArgs(files, path.join(outDir, name), options.profile, metadataPath)])
+    return name
+  } finally {
+    await rm(tmp, { recursive: true, force: true })
+  }
+}
+
+const main = async () => {
+  const parsed = await parseOptions(process.argv.slice(2))
+  if (parsed.help) {
+    console.log(USAGE)
+    return 0
+  }
+  if (!ffmpegPath) throw new Error('no bundled ffmpeg binary for this platform; set FFMPEG_BIN to an ffmpeg executable')
+
+  const files = await expandInputs(parsed.inputs)
+  if (files.length === 0) throw new UsageError('no media files found')
+  await mkdir(parsed.outDir, { recursive: true })
+
+  if (parsed.join) {
+    const name = await joinFiles(files, parsed.join, parsed.options, parsed.outDir)
+    console.log(name)
+    return 0
+  }
+
+  let failed = 0
+  for (const file of files) {
+    console.log(`${path.basename(file)}`)
+    try {
+      if (parsed.stream) {
+        await streamFile(file, parsed.stream, parsed.outDir)
+        continue
+      }
+      const plan = await planFile(file, parsed.options)
+      const written = await exportFile(plan, parsed.outDir)
+      if (parsed.manifest) {
+        const format = MANIFEST_FORMATS.find(f => f.id === parsed.manifest)
+        const name = `${splitFileName(plan.input.name).baseName}_parts.${format.ext}`
+        const fps = format.id === 'edl' ? videoFrameRate(parseMediaInfo(await probe(mediaProbeArgs(file)))) : 0
+        await writeFile(path.join(parsed.outDir, name), formatManifest(createManifest(plan.input, plan.options, written), format.id, { fps }))
+        console.log(`  ${name}`)
+      }
+    } catch (err) {
+      failed++
+      console.error(`  error: ${err.message}`)
+    }
+  }
+  if (failed > 0) {
+    console.error(`${failed} of ${files.length} file(s) failed`)
+    return 1
+  }
+  return 0
+}
+
+// Runs only as a command, so the tests can import parseOptions
+if (process.argv[1] && import.meta.url === pathToFileURL(realpathSync(process.argv[1])).href) {
+  main().then(
+    code => { process.exitCode = code },
+    err => {
+      console.error(`media-splitter: ${err.message}`)
+      if (err instanceof UsageError) console.error('Run with --help for usage.')
+      process.exitCode = err instanceof UsageError ? 2 : 1
+    }
+  )
+}
@@ -0,0 +1,20 @@
+import { describe, it, expect } from 'vitest'
+import { parseOptions } from './media-splitter.js'
+import { DEFAULT_SETTINGS } from '../src/core/settings.js'
+
+describe('parseOptions', () => {
+  it('starts from the web app defaults', async () => {
+    const { options } = await parseOptions(['talk.mp4'])
+    expect(options).toMatchObject({ mode: 'parts', parts: DEFAULT_SETTINGS.parts, size: DEFAULT_SETTINGS.size, time: DEFAULT_SETTINGS.time })
+  })
+
+  it('segments streams as long as the web app does', async () => {
+    const { stream } = await parseOptions(['--stream', 'hls', 'talk.mp4'])
+    expect(stream.segmentSeconds).toBe(DEFAULT_SETTINGS.time)
+    expect((await parseOptions(['--stream', 'dash', '--time', '4', 'talk.mp4'])).stream.segmentSeconds).toBe(4)
+  })
+
+  it('rejects a name template that repeats one name', async () => {
+    await expect(parseOptions(['--name', '{name}_{total}', 'talk.mp4'])).rejects.toThrow('--name needs {index}')
+  })
+})
@@ -1,64 +1,356 @@
-import { useState, useRef, useEffect } from 'react'
-import { FFmpeg } from '@ffmpeg/ffmpeg'
-import { fetchFile, toBlobURL } from '@ffmpeg/util'
-import { Upload, Scissors, CheckCircle2, Loader2, Download, AlertCircle, Minus, Plus, Lock, ShieldCheck, Clock, HardDrive, Hash, Zap, Shield } from 'lucide-react'
+import { useState, useRef, useEffect, useEffectEvent } from 'react'
+import { FFmpeg, FFFSType } from '@ffmpeg/ffmpeg'
+import { Upload, Scissors, CheckCircle2, Loader2, Download, AlertCircle, Lock, ShieldCheck, Clock, HardDrive, Hash, Zap, Shield, ListVideo, Wand2, BookOpen, FileArchive, FolderDown, XCircle, RotateCcw, Cpu, Captions, X, FileText, FileUp, Files, Radio, Combine } from 'lucide-react'
 import { motion, AnimatePresence } from 'framer-motion'
+import CutEditor from './CutEditor.jsx'
+import AutoSplitPanel from './AutoSplitPanel.jsx'
+import ChapterList from './ChapterList.jsx'
+import BatchQueue from './BatchQueue.jsx'
+import { createZipBlob, writeZip } from './zip.js'
+import EncodingProfilePanel from './EncodingProfilePanel.jsx'
+import PaddingPanel from './PaddingPanel.jsx'
+import NamingPanel from './NamingPanel.jsx'
+import ConcurrencyPanel from './ConcurrencyPanel.jsx'
+import PresetsPanel from './PresetsPanel.jsx'
+import Counter from './Counter.jsx'
+import StreamingPanel from './StreamingPanel.jsx'
+import JoinPanel from './JoinPanel.jsx'
+import MediaInfoPanel from './MediaInfoPanel.jsx'
+import ResultPart from './ResultPart.jsx'
+import {
+  buildAnalysisArgs,
+  buildConcatArgs,
+  buildConcatFilterArgs,
+  capBytesFor,
+  advanceStep,
+  beginStep,
+  chapterMetadata,
+  chapterProbeArgs,
+  concatList,
+  createManifest,
+  createSplitPlan,
+  createStreamPlan,
+  customRanges,
+  DEFAULT_SETTINGS,
+  cutSubtitles,
+  describeSegment,
+  estimatePeakMemory,
+  finishStep,
+  formatManifest,
+  formatPresets,
+  formatTime,
+  formatTimestamp,
+  halveSegment,
+  isOutOfMemory,
+  joinChapters,
+  joinCompatibility,
+  joinOutputName,
+  mergePresets,
+  keyframeProbeArgs,
+  fastModeWarning,
+  MANIFEST_FORMATS,
+  mediaInfoError,
+  mediaProbeArgs,
+  memoryWarning,
+  mimeTypeFor,
+  namingProblem,
+  outputMimeType,
+  packetProbeArgs,
+  parseChapters,
+  parseDetectionLog,
+  parseKeyframes,
+  parseManifest,
+  parseMediaInfo,
+  parsePackets,
+  parsePresets,
+  parseProgressLine,
+  planWorkers,
+  previewKind,
+  previewPasses,
+  progressStats,
+  RETIRE,
+  runPool,
+  safeFileName,
+  SETTINGS_PARAMS,
+  settingsFromQuery,
+  settingsToQuery,
+  sidecarName,
+  splitFileName,
+  SUBTITLE_TYPES,
+  startProgress,
+  STREAM_FORMATS,
+  streamMimeType,
+  subtitleFormat,
+  subtitleMatches,
+  suggestCuts,
+  videoFrameRate,
+} from './core/index.js'
+import { takeSharedFiles, watchLaunchedFiles } from './launch.js'
+import { loadPresets, loadSettings, savePresets, storeSettings } from './storage.js'
+import { coreCandidates, isCrossOriginIsolated, threadCount } from './cores.js'
 import './index.css'
 
+// Runs ffprobe inside the wasm instance and returns what it wrote.
+const runProbe = async (ffmpeg, args, outputName) => {
+  await ffmpeg.ffprobe([...args, '-o', outputName])
+  const text = new TextDecoder().decode(await ffmpeg.readFile(outputName))
+  await ffmpeg.deleteFile(outputName)
+  return text
+}
+
+// How long ffprobe may spend on a file before it counts as unreadable
+const PROBE_TIMEOUT = 20000
+
+// Container and stream details for the file at `path`. Throws a message
+// fit for the user when FFmpeg can't read the file, or not in time.
+const probeMediaInfo = async (ffmpeg, path) => {
+  const started = Date.now()
+  const code = await ffmpeg.ffprobe([...mediaProbeArgs(path), '-o', 'info.json'], PROBE_TIMEOUT)
+  let text = ''
+  try {
+    text = new TextDecoder().decode(await ffmpeg.readFile('info.json'))
+  } catch {
+    // nothing written
+  }
+  await ffmpeg.deleteFile('info.json').catch(() => {})
+  let info = null
+  try {
+    info = code === 0 ? parseMediaInfo(text) : null
+  } catch {
+    // cut off mid-write
+  }
+  if (!info) {
+    if (Date.now() - started >= PROBE_TIMEOUT) throw new Error(`FFmpeg could not read the file within ${PROBE_TIMEOUT / 1000} seconds`)
+    throw new Error('FFmpeg could not read the file; it may be damaged or not a media file')
+  }
+  const problem = mediaInfoError(info)
+  if (problem) throw new Error(problem)
+  return info
+}
+
+// A preview pass that runs longer than this is given up on
+const PREVIEW_TIMEOUT = 15000
+
+// Poster frames or a waveform for the part at `path`, as image Blobs keyed
+// like previewPasses. Previews are a nicety: a pass that fails or times out
+// is left out instead of failing the part.
+const renderPreviews = async (ffmpeg, path, kind) => {
+  const previews = {}
+  for (const pass of previewPasses(path, kind)) {
+    try {
+      if (await ffmpeg.exec(pass.args, PREVIEW_TIMEOUT) !== 0) continue
+      const data = await ffmpeg.readFile(pass.name)
+      previews[pass.key] = new Blob([data.buffer], { type: pass.type })
+    } catch {
+      // no image this time
+    } finally {
+      await ffmpeg.deleteFile(pass.name).catch(() => {})
+    }
+  }
+  return previews
+}
+
+const probeKeyframes = async (ffmpeg, path) => parseKeyframes(await runProbe(ffmpeg, keyframeProbeArgs(path), 'keyframes.txt'))
+const probePackets = async (ffmpeg, path) => parsePackets(await runProbe(ffmpeg, packetProbeArgs(path), 'packets.txt'))
+const probeChapters = async (ffmpeg, path) => parseChapters(await runProbe(ffmpeg, chapterProbeArgs(path), 'chapters.json'))
+
+// Reads a File into memory chunk by chunk, reporting bytes read so far.
+const readWithProgress = async (media, onProgress) => {
+  const data = new Uint8Array(media.size)
+  const reader = media.stream().getReader()
+  let offset = 0
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    data.set(value, offset)
+    offset += value.length
+    onProgress(offset)
+  }
+  return data
+}
+
+// Sources are mounted here read-only instead of being copied into wasm memory
+const INPUT_DIR = '/input'
+// Where HLS/DASH output is written before it is read back out
+const STREAM_DIR = '/stream'
+
+let nextQueueId = 1
+
+// A settings link wins over what was used last time, which wins over the
+// defaults.
+const startupSettings = () => ({ ...DEFAULT_SETTINGS, ...loadSettings(), ...settingsFromQuery(window.location.search) })
+
+// `42% · part 63% · 3.2x · 1m 5s left`
+const describeJob = ({ fraction, stepFraction, rate, eta, unit, speed }) => {
+  const pieces = [`${Math.round(fraction * 100)}%`]
+  if (unit === 'seconds') {
+    if (stepFraction > 0) pieces.push(`part ${Math.round(stepFraction * 100)}%`)
+    const realtime = speed ?? rate
+    if (realtime > 0) pieces.push(`${realtime.toFixed(1)}x`)
+  } else if (rate > 0) {
+    pieces.push(`${(rate / (1024 * 1024)).toFixed(1)} MB/s`)
+  }
+  if (eta !== null) pieces.push(`${formatTime(eta)} left`)
+  return pieces.join(' · ')
+}
+
+// A batch entry counts as failed when it made no parts or any of its parts
+// did not finish
+const entrySummary = (results) => {
+  if (results.length === 0) return { status: 'failed', error: 'No parts were made' }
+  const unfinished = results.filter(r => r.status !== 'done').length
+  if (unfinished === 0) return { status: 'done', error: '' }
+  return { status: 'failed', error: `${unfinished} of ${results.length} parts unfinished` }
+}
+
 function App() {
+  const [startup] = useState(startupSettings)
   const [loaded, setLoaded] = useState(false)
+  // 'split' one file into parts, or 'join' several into one
+  const [task, setTask] = useState('split')
   const [file, setFile] = useState(null)
-  const [splitMode, setSplitMode] = useState('parts')
-  const [parts, setParts] = useState(2)
-  const [splitSize, setSplitSize] = useState(10)
-  const [splitTime, setSplitTime] = useState(60)
-  const [encodingMode, setEncodingMode] = useState('compatible')
-  const [processing, setProcessing] = useState(false)
+  const [splitMode, setSplitMode] = useState(startup.mode)
+  const [parts, setParts] = useState(startup.parts)
+  const [splitSize, setSplitSize] = useState(startup.size)
+  const [splitTime, setSplitTime] = useState(startup.time)
+  const [encodingMode, setEncodingMode] = useState(startup.encoding)
+  const [profile, setProfile] = useState(startup.profile)
+  const [jobRunning, setProcessing] = useState(false)
   const [status, setStatus] = useState('')
   const [progress, setProgress] = useState(0)
+  const [jobStats, setJobStats] = useState(null)
   const [resultFiles, setResultFiles] = useState([])
+  const [playingUrl, setPlayingUrl] = useState(null)
   const [error, setError] = useState('')
   const [fileDuration, setFileDuration] = useState(0)
+  // What FFmpeg reports about the loaded file, from parseMediaInfo
+  const [mediaInfo, setMediaInfo] = useState(null)
   const [isDragging, setIsDragging] = useState(false)
+  const [snapKeyframes, setSnapKeyframes] = useState(startup.snapKeyframes)
+  const [keyframes, setKeyframes] = useState(null)
+  const [scanningKeyframes, setScanningKeyframes] = useState(false)
+  const [strictSize, setStrictSize] = useState(startup.strictSize)
+  const [padding, setPadding] = useState({ overlap: startup.overlap, preRoll: startup.preRoll, postRoll: startup.postRoll })
+  const [fades, setFades] = useState(startup.fades)
+  const [keepAllStreams, setKeepAllStreams] = useState(startup.allStreams)
+  const [naming, setNaming] = useState(startup.naming)
+  const [tagParts, setTagParts] = useState(startup.tagParts)
+  // FFmpeg instances splitting side by side: 1, 'auto' or a count
+  const [concurrency, setConcurrency] = useState(startup.concurrency)
+  const [presets, setPresets] = useState(loadPresets)
+  // Part ranges read from a manifest, used by custom mode instead of the markers: { name, ranges }
+  const [importedPlan, setImportedPlan] = useState(null)
+  const [manifestFormat, setManifestFormat] = useState('json')
+  // 'files' for standalone parts, or a streaming format from STREAM_FORMATS
+  const [output, setOutput] = useState(startup.output)
+  const [streamSettings, setStreamSettings] = useState({ segmentType: 'ts', ladder: [] })
+  // Files to join in order: { id, file, info, error }, with info from parseMediaInfo
+  const [joinEntries, setJoinEntries] = useState([])
+  const [joinMarkers, setJoinMarkers] = useState(true)
+  // Subtitle files dropped along with the loaded file
+  const [sidecars, setSidecars] = useState([])
+  const [customCuts, setCustomCuts] = useState([])
+  const [excludedRanges, setExcludedRanges] = useState([])
+  const [autoSettings, setAutoSettings] = useState({
+    target: 300,
+    silenceThreshold: -35,
+    minSilence: 0.5,
+    detectScenes: true,
+    sceneThreshold: 10,
+  })
+  const [suggestions, setSuggestions] = useState(null)
+  const [analyzing, setAnalyzing] = useState(false)
+  const [chapters, setChapters] = useState(null)
+  const [loadingChapters, setLoadingChapters] = useState(false)
+  const [queue, setQueue] = useState([])
+  const [packaging, setPackaging] = useState('')
+  const [cancelling, setCancelling] = useState(false)
+  // A cancelled job holds the controls until the fresh FFmpeg has loaded
+  const processing = jobRunning || cancelling
+  // The FFmpeg build in use: { core, threads, isolated }
+  const [engine, setEngine] = useState(null)
+  const [reencodeRetries, setReencodeRetries] = useState(true)
 
   const ffmpegRef = useRef(new FFmpeg())
+  // Extra instances running parts beside ffmpegRef during a parallel split
+  const workersRef = useRef([])
+  // The sources currently available to FFmpeg: { file, path, paths, mounted },
+  // with `file` null for the inputs of a join
+  const inputRef = useRef(null)
+  const cancelledRef = useRef(false)
+  // The running job's progress model: { progress, unit: 'seconds' | 'bytes', speed }
+  const jobRef = useRef(null)
+  const logListenersRef = useRef(new Set())
+  // Probed details per File, so a job doesn't probe what loading it already did
+  const mediaInfoRef = useRef(new WeakMap())
+  const queueRef = useRef([])
 
   useEffect(() => {
     loadFFmpeg()
   }, [])
 
-  const loadFFmpeg = async () => {
-    try {
-      setStatus('Initializing system infrastructure...')
-      // Using more stable jsdelivr instead of unpkg
-      const baseURL = 'https://cdn.jsdelivr.net/npm/@ffmpeg/core@0.12.6/dist/esm'
-      const ffmpeg = ffmpegRef.current
+  // Files opened with the installed app ("Open with") or shared to it
+  const openLaunchedFiles = useEffectEvent((files) => {
+    if (files.length > 0) handleFiles(files)
+  })
+
+  useEffect(() => {
+    if (!loaded) return
+    takeSharedFiles().then(openLaunchedFiles)
+    watchLaunchedFiles(openLaunchedFiles)
+  }, [loaded])
 
+  // Starts the best core this page can run, falling back to the
+  // single-threaded build when the multi-threaded one can't start. A
+  // `reload` after a cancel leaves the job's status alone.
+  const loadFFmpeg = async ({ reload = false } = {}) => {
+    if (!reload) setStatus('Initializing system infrastructure...')
+    let lastError
+    for (const core of coreCandidates()) {
+      const ffmpeg = ffmpegRef.current
       ffmpeg.on('log', ({ message }) => {
         console.log(message)
+        logListenersRef.current.forEach(listener => listener(message))
         if (message.includes('error')) setStatus(`Error: ${message.slice(0, 20)}...`)
       })
 
-      ffmpeg.on('progress', ({ progress }) => {
-        setProgress(Math.round(progress * 100))
-      })
+      try {
+        await ffmpeg.load(core.urls)
+        setEngine({ core, threads: threadCount(core), isolated: isCrossOriginIsolated() })
+        setLoaded(true)
+        if (!reload) setStatus('')
+        return
+      } catch (err) {
+        console.error(`FFmpeg Load Error (${core.label}):`, err)
+        lastError = err
+        ffmpeg.terminate()
+        ffmpegRef.current = new FFmpeg()
+      }
+    }
+    setError(`Load failed: ${lastError.message}. This might be a browser compatibility issue; WebAssembly needs to be enabled.`)
+  }
 
-      await ffmpeg.load({
-        coreURL: await toBlobURL(`${baseURL}/ffmpeg-core.js`, 'text/javascript'),
-        wasmURL: await toBlobURL(`${baseURL}/ffmpeg-core.wasm`, 'application/wasm'),
-        workerURL: await toBlobURL(`${baseURL}/ffmpeg-core.worker.js`, 'text/javascript'),
-      })
+  const startJob = (total, unit) => {
+    jobRef.current = { progress: startProgress(total, Date.now()), unit, speed: null }
+    updateJob(job => job)
+  }
 
-      setLoaded(true)
-      setStatus('')
-    } catch (err) {
-      console.error('FFmpeg Load Error:', err)
-      setError(`Load failed: ${err.message}. This might be a network block or browser compatibility issue. (SharedArrayBuffer needs to be enabled)`)
-    }
+  const updateJob = (change, speed = null) => {
+    const job = jobRef.current
+    if (!job) return
+    job.progress = change(job.progress)
+    if (speed !== null) job.speed = speed
+    const stats = progressStats(job.progress, Date.now())
+    setProgress(Math.round(stats.fraction * 100))
+    setJobStats({ ...stats, unit: job.unit, speed: job.speed })
   }
 
   const handleDragOver = (e) => {
     e.preventDefault()
+    if (processing) {
+      e.dataTransfer.dropEffect = 'none'
+      return
+    }
     setIsDragging(true)
   }
 
@@ -69,141 +361,1095 @@ function App() {
   const handleDrop = async (e) => {
     e.preventDefault()
     setIsDragging(false)
-    const droppedFile = e.dataTransfer.files[0]
-    if (droppedFile) {
-      setFile(droppedFile)
-      setResultFiles([])
+    handleFiles(Array.from(e.dataTransfer.files))
+  }
+
+  const handleFileChange = async (e) => {
+    handleFiles(Array.from(e.target.files))
+    e.target.value = ''
+  }
+
+  // Several files (or any file while a batch is queued) go to the queue;
+  // a single file opens in the editor as before.
+  // Subtitle files travel with the media they were dropped with: all of them
+  // with a single file, or those named after it in a batch.
+  // Nothing is taken while a job runs: opening a file swaps the input that
+  // FFmpeg has mounted for the job.
+  const handleFiles = async (dropped) => {
+    if (processing) return
+    const subtitles = dropped.filter(f => subtitleFormat(f.name))
+    const files = dropped.filter(f => !subtitleFormat(f.name))
+    if (task === 'join') {
+      addJoinFiles(files)
+      return
+    }
+    if (files.length === 0) {
+      attachSidecars(subtitles)
+      return
+    }
+    if (files.length > 1 || queueRef.current.length > 0) {
+      enqueueFiles(files, subtitles)
+      return
+    }
+    const selectedFile = files[0]
+    setFile(selectedFile)
+    setSidecars(subtitles)
+    setResultFiles([])
+    setError('')
+    setKeyframes(null)
+    setCustomCuts([])
+    setExcludedRanges([])
+    setSuggestions(null)
+    setChapters(null)
+    setMediaInfo(null)
+    setFileDuration(0)
+    let info
+    try {
+      info = await readMediaInfo(selectedFile)
+    } catch (err) {
+      setError(`${selectedFile.name}: ${err.message}`)
+      return
+    }
+    setMediaInfo(info)
+    setFileDuration(info.duration)
+    if (encodingMode === 'fast' && snapKeyframes) scanKeyframes(selectedFile)
+    if (splitMode === 'chapters') loadChapters(selectedFile)
+  }
+
+  const readMediaInfo = async (media) => {
+    const cached = mediaInfoRef.current.get(media)
+    if (cached) return cached
+    const info = await probeMediaInfo(ffmpegRef.current, await openInput(media))
+    mediaInfoRef.current.set(media, info)
+    return info
+  }
+
+  // Makes `media` readable by FFmpeg and returns its path. The file is
+  // mounted through WORKERFS so the worker reads it lazily from disk; only if
+  // that fails is it copied into the FS. Later passes reuse the same input.
+  const openInput = async (media) => {
+    if (inputRef.current?.file === media) return inputRef.current.path
+    const ffmpeg = ffmpegRef.current
+    await closeInput()
+
+    try {
+      await ffmpeg.createDir(INPUT_DIR).catch(() => {}) // already there from an earlier file
+      await ffmpeg.mount(FFFSType.WORKERFS, { files: [media] }, INPUT_DIR)
+      inputRef.current = { file: media, path: `${INPUT_DIR}/${media.name}`, paths: [], mounted: true }
+    } catch (err) {
+      console.warn('Mounting the input failed, copying it instead:', err)
+      startJob(media.size, 'bytes')
+      updateJob(job => beginStep(job, media.size))
+      const data = await readWithProgress(media, read => updateJob(job => advanceStep(job, read)))
+      updateJob(finishStep)
+      await ffmpeg.writeFile('input', data)
+      inputRef.current = { file: media, path: 'input', paths: ['input'], mounted: false }
+    }
+    return inputRef.current.path
+  }
+
+  // Makes several files readable at once for a join, renamed by position so
+  // equal names can't collide. Returns their paths in order.
+  const openJoinInputs = async (files) => {
+    const ffmpeg = ffmpegRef.current
+    await closeInput()
+    const renamed = files.map((media, i) => {
+      const { ext } = splitFileName(media.name)
+      return new File([media], ext ? `${i}.${ext}` : String(i), { type: media.type })
+    })
+
+    try {
+      await ffmpeg.createDir(INPUT_DIR).catch(() => {})
+      await ffmpeg.mount(FFFSType.WORKERFS, { files: renamed }, INPUT_DIR)
+      const paths = renamed.map(f => `${INPUT_DIR}/${f.name}`)
+      inputRef.current = { file: null, path: paths[0], paths: [], mounted: true }
+      return paths
+    } catch (err) {
+      console.warn('Mounting the inputs failed, copying them instead:', err)
+      const paths = renamed.map(f => `join-${f.name}`)
+      inputRef.current = { file: null, path: paths[0], paths: [], mounted: false }
+      for (let i = 0; i < renamed.length; i++) {
+        setStatus(`Reading file ${i + 1} of ${renamed.length}...`)
+        await ffmpeg.writeFile(paths[i], new Uint8Array(await renamed[i].arrayBuffer()))
+        inputRef.current.paths.push(paths[i])
+      }
+      return paths
+    }
+  }
+
+  // Unmounts or deletes whatever openInput or openJoinInputs made available.
+  const closeInput = async () => {
+    const current = inputRef.current
+    inputRef.current = null
+    if (current?.mounted) await ffmpegRef.current.unmount(INPUT_DIR)
+    else if (current) for (const path of current.paths) await ffmpegRef.current.deleteFile(path)
+  }
+
+  const scanKeyframes = async (media = file) => {
+    if (!media) return null
+    setScanningKeyframes(true)
+    try {
+      const found = await probeKeyframes(ffmpegRef.current, await openInput(media))
+      setKeyframes(found || [])
+      return found
+    } catch (err) {
+      console.error('Keyframe scan failed:', err)
+      // Still unknown, so the next toggle or split scans again
+      setKeyframes(null)
+      return null
+    } finally {
+      setScanningKeyframes(false)
+    }
+  }
+
+  // Runs silencedetect/scdet over the input and collects their events from
+  // the shared log stream.
+  const detectCuts = async (duration) => {
+    const lines = []
+    const collect = (message) => lines.push(message)
+    logListenersRef.current.add(collect)
+    try {
+      const code = await ffmpegRef.current.exec(buildAnalysisArgs(autoSettings, inputRef.current.path))
+      if (code !== 0) throw new Error(lines[lines.length - 1] || `FFmpeg exited with code ${code}`)
+    } finally {
+      logListenersRef.current.delete(collect)
+    }
+    return suggestCuts(parseDetectionLog(lines, duration), duration, autoSettings.target)
+  }
+
+  const analyzeMedia = async () => {
+    if (!file) return
+    setAnalyzing(true)
+    setError('')
+    try {
+      await openInput(file)
+      const cuts = await detectCuts(fileDuration)
+      setSuggestions(cuts.map(cut => ({ ...cut, accepted: true })))
+    } catch (err) {
+      console.error('Analysis failed:', err)
+      setError(`Could not analyze this file for silence or scene changes: ${err.message}`)
+    } finally {
+      setAnalyzing(false)
+    }
+  }
+
+  const loadChapters = async (media = file) => {
+    if (!media) return
+    setLoadingChapters(true)
+    try {
+      const found = await probeChapters(ffmpegRef.current, await openInput(media))
+      setChapters(found.map(c => ({ ...c, selected: true })))
+    } catch (err) {
+      console.error('Chapter probe failed:', err)
+      setChapters([])
+    } finally {
+      setLoadingChapters(false)
+    }
+  }
+
+  const selectSplitMode = (mode) => {
+    setSplitMode(mode)
+    if (mode !== 'custom') setImportedPlan(null)
+    if (mode === 'chapters' && file && chapters === null) loadChapters()
+  }
+
+  // Reads an exported JSON or CSV manifest and cuts at its part ranges, with
+  // whatever encoding settings it records. The ranges already include any
+  // padding, so padding is reset rather than applied twice.
+  const importPlan = async (e) => {
+    const [manifestFile] = e.target.files
+    e.target.value = ''
+    if (!manifestFile) return
+    try {
+      const { ranges, settings } = parseManifest(await manifestFile.text())
+      if (settings.encoding) setEncodingMode(settings.encoding)
+      if (settings.profile) setProfile(settings.profile)
+      if ('fades' in settings) setFades(settings.fades || { ...fades, audio: false, video: false })
+      if ('naming' in settings) setNaming(settings.naming)
+      if ('tagParts' in settings) setTagParts(settings.tagParts)
+      if ('allStreams' in settings) setKeepAllStreams(settings.allStreams)
+      setPadding({ overlap: 0, preRoll: 0, postRoll: 0 })
+      setSplitMode('custom')
+      setImportedPlan({ name: manifestFile.name, ranges })
       setError('')
-      const dur = await getDuration(droppedFile)
-      setFileDuration(dur)
+    } catch (err) {
+      setError(`Could not import ${manifestFile.name}: ${err.message}`)
     }
   }
 
-  const handleFileChange = async (e) => {
-    const selectedFile = e.target.files[0]
-    if (selectedFile) {
-      setFile(selectedFile)
-      setResultFiles([])
+  const toggleChapter = (index) => {
+    setChapters(chapters.map((c, i) => (i === index ? { ...c, selected: !c.selected } : c)))
+  }
+
+  const toggleSuggestion = (index) => {
+    setSuggestions(suggestions.map((s, i) => (i === index ? { ...s, accepted: !s.accepted } : s)))
+  }
+
+  const selectEncodingMode = (mode) => {
+    setEncodingMode(mode)
+    if (mode === 'fast' && snapKeyframes && file && keyframes === null) scanKeyframes()
+  }
+
+  const toggleSnapKeyframes = () => {
+    const next = !snapKeyframes
+    setSnapKeyframes(next)
+    if (next && file && keyframes === null) scanKeyframes()
+  }
+
+  // Everything a preset or settings link carries
+  const currentSettings = () => ({
+    mode: splitMode,
+    parts,
+    size: splitSize,
+    time: splitTime,
+    encoding: encodingMode,
+    profile,
+    ...padding,
+    fades,
+    allStreams: keepAllStreams,
+    naming,
+    tagParts,
+    snapKeyframes,
+    strictSize,
+    output,
+    concurrency,
+  })
+
+  // Settings survive a reload
+  const settingsJson = JSON.stringify(currentSettings())
+  useEffect(() => {
+    storeSettings(settingsJson)
+  }, [settingsJson])
+
+  // A settings link is applied at startup; its parameters are cleared so a
+  // reload keeps later changes instead of going back to the link.
+  useEffect(() => {
+    const url = new URL(window.location.href)
+    if (!SETTINGS_PARAMS.some(key => url.searchParams.has(key))) return
+    SETTINGS_PARAMS.forEach(key => url.searchParams.delete(key))
+    window.history.replaceState(null, '', url)
+  }, [])
+
+  // Applies a preset over the current settings; anything it doesn't set
+  // stays as it is.
+  const applySettings = (settings) => {
+    const next = { ...currentSettings(), ...settings }
+    selectSplitMode(next.mode)
+    setParts(next.parts)
+    setSplitSize(next.size)
+    setSplitTime(next.time)
+    setEncodingMode(next.encoding)
+    setProfile(next.profile)
+    setPadding({ overlap: next.overlap, preRoll: next.preRoll, postRoll: next.postRoll })
+    setFades(next.fades)
+    setKeepAllStreams(next.allStreams)
+    setNaming(next.naming)
+    setTagParts(next.tagParts)
+    setSnapKeyframes(next.snapKeyframes)
+    setStrictSize(next.strictSize)
+    setOutput(next.output)
+    setConcurrency(next.concurrency)
+    if (next.encoding === 'fast' && next.snapKeyframes && file && keyframes === null) scanKeyframes()
+  }
+
+  const updatePresets = (next) => {
+    setPresets(next)
+    savePresets(next)
+  }
+
+  // Saving under an existing name replaces that preset
+  const savePreset = (name) => updatePresets(mergePresets(presets, [{ name, settings: currentSettings() }]))
+
+  const applyPreset = (name) => {
+    const preset = presets.find(p => p.name === name)
+    if (preset) applySettings(preset.settings)
+  }
+
+  const deletePreset = (name) => updatePresets(presets.filter(p => p.name !== name))
+
+  const exportPresets = () => {
+    const url = URL.createObjectURL(new Blob([formatPresets(presets)], { type: 'application/json' }))
+    const a = document.createElement('a')
+    a.href = url
+    a.download = 'media-splitter-presets.json'
+    document.body.appendChild(a)
+    a.click()
+    document.body.removeChild(a)
+    setTimeout(() => URL.revokeObjectURL(url), 60000)
+  }
+
+  // Imported presets join the saved ones, replacing any with the same name.
+  const importPresets = async (e) => {
+    const [presetFile] = e.target.files
+    e.target.value = ''
+    if (!presetFile) return
+    try {
+      updatePresets(mergePresets(presets, parsePresets(await presetFile.text())))
       setError('')
-      const dur = await getDuration(selectedFile)
-      setFileDuration(dur)
+    } catch (err) {
+      setError(`Could not import ${presetFile.name}: ${err.message}`)
     }
   }
 
-  const formatTime = (seconds) => {
-    if (!seconds) return '0s'
-    const h = Math.floor(seconds / 3600)
-    const m = Math.floor((seconds % 3600) / 60)
-    const s = Math.floor(seconds % 60)
-    if (h > 0) return `${h}h ${m}m ${s}s`
-    if (m > 0) return `${m}m ${s}s`
-    return `${s}s`
+  // Copies a link to this page that opens with the current settings.
+  // Returns whether the clipboard took it; otherwise the link is shown to
+  // copy by hand.
+  const copySettingsLink = async () => {
+    const url = new URL(window.location.href)
+    url.search = settingsToQuery(currentSettings())
+    url.hash = ''
+    try {
+      await navigator.clipboard.writeText(url.href)
+      return true
+    } catch (err) {
+      console.warn('Copying the settings link failed:', err)
+      window.prompt('Copy this link to share the settings:', url.href)
+      return false
+    }
   }
 
-  const getDuration = async (file) => {
-    return new Promise((resolve) => {
-      const video = document.createElement('video')
-      video.preload = 'metadata'
-      video.onloadedmetadata = () => {
-        resolve(video.duration)
+  const splitOptions = (ranges) => ({
+    mode: splitMode,
+    parts,
+    size: splitSize,
+    time: splitTime,
+    encoding: encodingMode,
+    profile,
+    ...padding,
+    fades: fades.audio || fades.video ? fades : undefined,
+    allStreams: keepAllStreams,
+    naming,
+    tagParts,
+    snapKeyframes,
+    strictSize,
+    ranges,
+  })
+
+  // Works out the plan for `media` under the current settings. The file
+  // loaded in the editor uses what the user reviewed (markers, suggestions,
+  // ticked chapters); queued files get the same mode applied automatically.
+  const planMedia = async (media, duration, reviewed, subtitles = []) => {
+    const ffmpeg = ffmpegRef.current
+    const path = await openInput(media)
+    // The frame rate only goes into EDL manifests
+    const input = { name: media.name, path, duration, size: media.size, fps: videoFrameRate(await readMediaInfo(media)) }
+    let ranges
+
+    if (splitMode === 'size' && strictSize && encodingMode === 'fast') {
+      setStatus('Measuring packet sizes...')
+      input.packets = await probePackets(ffmpeg, path)
+    } else if (splitMode === 'custom') {
+      // Markers are placed by hand and imported ranges were cut before, so
+      // both are used exactly as given
+      ranges = importedPlan ? importedPlan.ranges : customRanges(duration, customCuts, excludedRanges).filter(r => !r.excluded)
+    } else if (splitMode === 'chapters') {
+      input.chapters = reviewed ? chapters : null
+      if (!input.chapters) {
+        setStatus('Reading chapters...')
+        input.chapters = await probeChapters(ffmpeg, path)
       }
-      video.src = URL.createObjectURL(file)
-    })
+      if (input.chapters.length === 0) throw new Error('The file has no embedded chapters')
+    } else if (splitMode === 'auto') {
+      // Reviewed suggestions sit in silences or on scene cuts; snapping
+      // them to keyframes would undo that
+      let list = reviewed ? suggestions : null
+      if (!list) {
+        setStatus('Detecting silence and scene changes...')
+        list = (await detectCuts(duration)).map(cut => ({ ...cut, accepted: true }))
+      }
+      const cuts = list.filter(s => s.accepted).map(s => ({ id: s.time, time: s.time }))
+      ranges = customRanges(duration, cuts, [])
+    } else if (encodingMode === 'fast' && snapKeyframes) {
+      input.keyframes = reviewed ? keyframes : null
+      if (input.keyframes === null) {
+        setStatus('Scanning keyframes...')
+        input.keyframes = reviewed ? await scanKeyframes(media) : await probeKeyframes(ffmpeg, path)
+      }
+    }
+    const options = splitOptions(ranges)
+    const sidecarTexts = await Promise.all(subtitles.map(async (subtitle) => ({
+      name: subtitle.name,
+      format: subtitleFormat(subtitle.name),
+      text: await subtitle.text(),
+    })))
+    return { ...createSplitPlan(input, options), input, options, sidecars: sidecarTexts }
+  }
+
+  // An FFmpeg instance that can run passes: its log listeners and the
+  // progress lane its steps are counted in
+  const mainWorker = () => ({ ffmpeg: ffmpegRef.current, listeners: logListenersRef.current, lane: 0 })
+
+  // Runs one FFmpeg pass. Status lines move the job's progress along; a
+  // failed pass reports the last line FFmpeg logged, which usually names
+  // the problem.
+  const runFFmpeg = async (args, worker = mainWorker()) => {
+    const { ffmpeg, listeners, lane } = worker
+    let lastLine = ''
+    const follow = (message) => {
+      if (message.trim()) lastLine = message.trim()
+      const update = parseProgressLine(message)
+      if (update) updateJob(job => (update.time === null ? job : advanceStep(job, update.time, lane)), update.speed)
+    }
+    listeners.add(follow)
+    try {
+      const code = await ffmpeg.exec(args)
+      if (code !== 0) throw new Error(lastLine || `FFmpeg exited with code ${code}`)
+    } finally {
+      listeners.delete(follow)
+    }
+  }
+
+  // Runs one described part and reads it back out of the FS. Previews of
+  // `kind` (see previewKind) are rendered while the part is still there,
+  // unless it came out over `capBytes` and is about to be re-split.
+  const runSegment = async (segment, { kind = '', capBytes = 0, worker = mainWorker() } = {}) => {
+    const { ffmpeg } = worker
+    try {
+      await runFFmpeg(segment.args, worker)
+      const data = await ffmpeg.readFile(segment.name)
+      let previews = {}
+      if (kind && !(capBytes && data.length > capBytes)) {
+        setStatus(`Rendering previews of ${segment.name}...`)
+        previews = await renderPreviews(ffmpeg, segment.name, kind)
+      }
+      return { data, previews }
+    } finally {
+      // A failed pass can leave part of the file behind
+      await ffmpeg.deleteFile(segment.name).catch(() => {})
+    }
+  }
+
+  // Parts keep their plan and source range for the manifest export.
+  const finishedPart = (media, plan, segment, data, previews = {}) => {
+    const blob = new Blob([data.buffer], { type: outputMimeType(plan.input, plan.options, media.type) })
+    return {
+      name: segment.name,
+      url: URL.createObjectURL(blob),
+      blob,
+      size: blob.size,
+      source: media.name,
+      status: 'done',
+      plan,
+      index: segment.index,
+      start: segment.start,
+      end: segment.end,
+      title: segment.title,
+      previews: Object.fromEntries(Object.entries(previews).map(([key, image]) => [key, URL.createObjectURL(image)])),
+    }
+  }
+
+  // One re-timed subtitle file per sidecar, named after the part.
+  const sidecarParts = (media, plan, segment) => plan.sidecars.map(sidecar => {
+    const text = cutSubtitles(sidecar.text, sidecar.format, segment.start, segment.end)
+    const blob = new Blob([text], { type: SUBTITLE_TYPES[sidecar.format] })
+    return {
+      name: sidecarName(segment.name, media.name, sidecar.name),
+      url: URL.createObjectURL(blob),
+      blob,
+      size: blob.size,
+      source: media.name,
+      status: 'done',
+    }
+  })
+
+  // A part that did not finish keeps what is needed to run it again later.
+  const unfinishedPart = (media, plan, segment, error) => ({
+    name: segment.name,
+    size: 0,
+    source: media.name,
+    status: cancelledRef.current ? 'cancelled' : 'failed',
+    error: cancelledRef.current ? 'Cancelled' : error.message,
+    retry: {
+      media,
+      plan,
+      index: segment.index,
+      total: segment.total,
+      segment: { start: segment.start, end: segment.end, snapped: segment.snapped, fileName: segment.fileName, title: segment.title },
+    },
+  })
+
+  // Runs the planned FFmpeg pass for each part over the opened input. Each
+  // part is read out and deleted from the FS as soon as it is written, so at
+  // most one part sits in wasm memory. Parts that still come out over the cap
+  // are halved and re-run in place, keeping the queue in timeline order. A
+  // failing part is recorded and the rest carry on; after a cancel the
+  // remaining parts are recorded as cancelled.
+  const exportSegments = async (media, plan, label = '') => {
+    const { input, options, cutPoints, capBytes } = plan
+
+    const kind = previewKind(await readMediaInfo(media), options)
+    const { count } = planWorkers(plan, workerSettings())
+    if (count > 1 && inputRef.current?.mounted) return exportInParallel(media, plan, kind, count, label)
+
+    const outputs = []
+    const queue = [...plan.segments]
+    // Sidecar subtitles join `outputs` too, so parts are counted apart
+    let done = 0
+    startJob(queue.reduce((sum, s) => sum + (s.end - s.start), 0), 'seconds')
+    while (queue.length > 0) {
+      const next = queue.shift()
+      const i = done++
+      const currentParts = done + queue.length
+      const segment = describeSegment(next, i, input, options, currentParts)
+      if (cancelledRef.current) {
+        outputs.push(unfinishedPart(media, plan, segment))
+        continue
+      }
+
+      setStatus(`${label}Splitting part ${i + 1} of ${currentParts}...`)
+      updateJob(job => beginStep(job, segment.duration))
+
+      try {
+        const { data, previews } = await runSegment(segment, { kind, capBytes })
+        if (capBytes && data.length > capBytes) {
+          const halves = halveSegment(segment, cutPoints)
+          if (!halves) throw new Error(`Part ${i + 1} cannot be made smaller than ${Math.round(capBytes / (1024 * 1024))} MB`)
+          updateJob(job => finishStep(job, { redo: true }))
+          queue.unshift(...halves)
+          done--
+          continue
+        }
+        updateJob(finishStep)
+        outputs.push(finishedPart(media, plan, segment, data, previews), ...sidecarParts(media, plan, segment))
+      } catch (err) {
+        updateJob(finishStep)
+        console.error(`Part ${i + 1} of ${media.name} failed:`, err)
+        outputs.push(unfinishedPart(media, plan, segment, err))
+      }
+    }
+    return outputs
+  }
+
+  const workerSettings = () => ({
+    requested: concurrency,
+    cores: navigator.hardwareConcurrency,
+    deviceMemoryGB: navigator.deviceMemory,
+  })
+
+  // Starts up to `count - 1` more FFmpeg instances beside the main one, each
+  // with `media` mounted where the main instance has it. One that fails to
+  // start or mount is left out and the pool runs smaller.
+  const openWorkers = async (media, count) => {
+    const workers = [mainWorker()]
+    for (let lane = 1; lane < count && !cancelledRef.current; lane++) {
+      setStatus(`Starting FFmpeg instance ${lane + 1} of ${count}...`)
+      const ffmpeg = new FFmpeg()
+      const listeners = new Set()
+      ffmpeg.on('log', ({ message }) => listeners.forEach(listener => listener(message)))
+      workersRef.current.push(ffmpeg)
+      try {
+        await ffmpeg.load(engine.core.urls)
+        await ffmpeg.createDir(INPUT_DIR)
+        await ffmpeg.mount(FFFSType.WORKERFS, { files: [media] }, INPUT_DIR)
+        workers.push({ ffmpeg, listeners, lane })
+      } catch (err) {
+        console.warn(`FFmpeg instance ${lane + 1} could not start:`, err)
+        retireWorker(ffmpeg)
+      }
+    }
+    return workers
+  }
+
+  const retireWorker = (ffmpeg) => {
+    ffmpeg.terminate()
+    workersRef.current = workersRef.current.filter(w => w !== ffmpeg)
+  }
+
+  const closeWorkers = () => {
+    workersRef.current.forEach(ffmpeg => ffmpeg.terminate())
+    workersRef.current = []
+  }
+
+  // Runs the plan's parts on a pool of FFmpeg instances pulling from one
+  // queue. Parts are numbered up front (planWorkers keeps size-capped plans,
+  // which renumber, off this path), so the results come back in timeline
+  // order whichever finishes first. An extra instance that runs out of
+  // memory is shut down and its part handed to the others: the pool shrinks
+  // instead of failing parts.
+  const exportInParallel = async (media, plan, kind, count, label) => {
+    const { input, options, segments } = plan
+    startJob(segments.reduce((sum, s) => sum + (s.end - s.start), 0), 'seconds')
+    const workers = await openWorkers(media, count)
+    let finished = 0
+    const report = (running) => setStatus(`${label}Splitting ${running} parts at a time, ${finished} of ${segments.length} done...`)
+    report(workers.length)
+
+    try {
+      const results = await runPool(segments, workers.length, async (next, i, { worker, running }) => {
+        const segment = describeSegment(next, i, input, options, segments.length)
+        if (cancelledRef.current) return [unfinishedPart(media, plan, segment)]
+        const current = workers[worker]
+        const { lane } = current
+        updateJob(job => beginStep(job, segment.duration, lane))
+        try {
+          const { data, previews } = await runSegment(segment, { kind, worker: current })
+          updateJob(job => finishStep(job, { lane }))
+          finished++
+          report(running())
+          return [finishedPart(media, plan, segment, data, previews), ...sidecarParts(media, plan, segment)]
+        } catch (err) {
+          // Checked and retired without an await in between, so another
+          // loop is still there to take the part back
+          if (lane > 0 && running() > 1 && isOutOfMemory(err) && !cancelledRef.current) {
+            console.warn(`FFmpeg instance ${lane + 1} ran out of memory; continuing with ${running() - 1}`)
+            updateJob(job => finishStep(job, { lane, redo: true }))
+            retireWorker(current.ffmpeg)
+            report(running() - 1)
+            return RETIRE
+          }
+          updateJob(job => finishStep(job, { lane }))
+          console.error(`Part ${i + 1} of ${media.name} failed:`, err)
+          finished++
+          return [unfinishedPart(media, plan, segment, err)]
+        }
+      })
+      // A part no worker got back to is recorded rather than lost
+      // (Array.from visits the empty slots flatMap would skip)
+      return Array.from(results, (parts, i) => parts || [unfinishedPart(
+        media,
+        plan,
+        describeSegment(segments[i], i, input, options, segments.length),
+        new Error('No FFmpeg instance was left to run this part'),
+      )]).flat()
+    } finally {
+      closeWorkers()
+    }
+  }
+
+  const streamOptions = () => ({
+    format: output,
+    segmentSeconds: splitTime,
+    encoding: encodingMode,
+    profile,
+    ...streamSettings,
+  })
+
+  // Segments the whole source into an HLS or DASH presentation, then reads
+  // every file FFmpeg wrote back out of the FS, playlists first. Nothing is
+  // left behind in the output directory, even when the pass fails.
+  const exportStream = async (media, duration, label = '') => {
+    const ffmpeg = ffmpegRef.current
+    const path = await openInput(media)
+    const plan = createStreamPlan({ name: media.name, path, duration, size: media.size }, streamOptions(), STREAM_DIR)
+    const format = STREAM_FORMATS.find(f => f.id === plan.format)
+    const written = async () => (await ffmpeg.listDir(STREAM_DIR)).filter(node => !node.isDir).map(node => node.name)
+
+    await ffmpeg.createDir(STREAM_DIR).catch(() => {}) // left from an earlier run
+    for (const name of await written()) await ffmpeg.deleteFile(`${STREAM_DIR}/${name}`)
+    setStatus(`${label}Segmenting ${media.name} for ${format.label}...`)
+    startJob(duration, 'seconds')
+    updateJob(job => beginStep(job, duration))
+
+    const outputs = []
+    try {
+      await runFFmpeg(plan.args)
+      updateJob(finishStep)
+      const playlistFirst = (name) => (/\.(m3u8|mpd)$/.test(name) ? `0${name === plan.playlist ? 0 : 1}${name}` : `1${name}`)
+      const names = (await written()).sort((a, b) => playlistFirst(a).localeCompare(playlistFirst(b)))
+      for (const name of names) {
+        const data = await ffmpeg.readFile(`${STREAM_DIR}/${name}`)
+        await ffmpeg.deleteFile(`${STREAM_DIR}/${name}`)
+        const blob = new Blob([data.buffer], { type: streamMimeType(name) })
+        outputs.push({ name, url: URL.createObjectURL(blob), blob, size: blob.size, source: media.name, status: 'done' })
+      }
+    } catch (err) {
+      if (!cancelledRef.current) {
+        for (const name of await written()) await ffmpeg.deleteFile(`${STREAM_DIR}/${name}`)
+      }
+      throw err
+    }
+    return outputs
   }
 
   const splitMedia = async () => {
     if (!file) return
 
+    cancelledRef.current = false
     setProcessing(true)
+    setJobStats(null)
     setError('')
     setResultFiles([])
 
     try {
-      const ffmpeg = ffmpegRef.current
-      const fileName = file.name
-      const fileExt = fileName.split('.').pop()
-      const baseName = fileName.replace(`.${fileExt}`, '')
-
       setStatus('Reading media file...')
-      await ffmpeg.writeFile('input', await fetchFile(file))
-
-      setStatus('Analyzing duration...')
-      const duration = await getDuration(file)
-
-      const overlap = 0
-
-      const outputs = []
-      let currentParts = parts;
-      let currentPartDuration = duration / parts;
-
-      if (splitMode === 'size') {
-        const totalSizeMB = file.size / (1024 * 1024);
-        currentParts = Math.ceil(totalSizeMB / splitSize);
-        if (currentParts < 1) currentParts = 1;
-        currentPartDuration = duration / currentParts;
-      } else if (splitMode === 'time') {
-        currentParts = Math.ceil(duration / splitTime);
-        if (currentParts < 1) currentParts = 1;
-        currentPartDuration = splitTime;
-      } else {
-        currentParts = parts;
-        currentPartDuration = duration / parts;
+      const { duration } = await readMediaInfo(file)
+
+      const outputs = output === 'files'
+        ? await exportSegments(file, await planMedia(file, duration, true, sidecars))
+        : await exportStream(file, duration)
+
+      setResultFiles(outputs)
+      setStatus(cancelledRef.current ? 'Cancelled' : 'Done!')
+      setProgress(100)
+    } catch (err) {
+      console.error(err)
+      if (!cancelledRef.current) setError(`Could not prepare the split: ${err.message}. Please check if the file format is valid.`)
+    } finally {
+      setProcessing(false)
+    }
+  }
+
+  // Stops the running job. Terminating the worker is the only way to
+  // interrupt an exec, so a fresh FFmpeg is loaded for whatever runs next.
+  const cancelJob = async () => {
+    cancelledRef.current = true
+    setCancelling(true)
+    setStatus('Cancelling...')
+    ffmpegRef.current.terminate()
+    closeWorkers()
+    inputRef.current = null
+    ffmpegRef.current = new FFmpeg()
+    await loadFFmpeg({ reload: true })
+    setCancelling(false)
+  }
+
+  // Runs every failed or cancelled part again with the settings it was
+  // planned with, or re-encoded when `reencode` is set for stream-copy parts.
+  const retryFailed = async (reencode) => {
+    cancelledRef.current = false
+    setProcessing(true)
+    setJobStats(null)
+    setError('')
+
+    let results = resultFiles
+    const pending = results.filter(r => r.status !== 'done')
+    startJob(pending.reduce((sum, r) => sum + (r.retry.segment.end - r.retry.segment.start), 0), 'seconds')
+    for (let n = 0; n < pending.length && !cancelledRef.current; n++) {
+      const part = pending[n]
+      const { media, plan, index, total } = part.retry
+      const options = reencode && plan.options.encoding === 'fast' ? { ...plan.options, encoding: 'compatible' } : plan.options
+      const retryPlan = { ...plan, options }
+      const segment = describeSegment(part.retry.segment, index, plan.input, options, total)
+      setStatus(`Retrying ${segment.name} (${n + 1} of ${pending.length})...`)
+      updateJob(job => beginStep(job, segment.duration))
+
+      let updated
+      let extras = []
+      try {
+        await openInput(media)
+        const capBytes = capBytesFor(options)
+        const kind = previewKind(await readMediaInfo(media), options)
+        const { data, previews } = await runSegment(segment, { kind, capBytes })
+        updateJob(finishStep)
+        if (capBytes && data.length > capBytes) throw new Error(`Part ${index + 1} came out larger than ${Math.round(capBytes / (1024 * 1024))} MB`)
+        updated = finishedPart(media, retryPlan, segment, data, previews)
+        extras = sidecarParts(media, plan, segment)
+      } catch (err) {
+        updateJob(finishStep)
+        console.error(`Retrying ${segment.name} failed:`, err)
+        updated = unfinishedPart(media, plan, segment, err)
       }
+      results = results.flatMap(r => (r === part ? [updated, ...extras] : [r]))
+      setResultFiles(results)
+    }
 
-      for (let i = 0; i < currentParts; i++) {
-        const start = i * currentPartDuration;
-        let end = (i + 1) * currentPartDuration;
-        if (end > duration) end = duration;
-        const actualDuration = end - start;
-
-        if (actualDuration <= 0) break;
-
-        const outputName = `${i + 1}_${baseName}_${i + 1}.${fileExt}`;
-        setStatus(`Splitting part ${i + 1} of ${currentParts}... (${Math.round((i / currentParts) * 100)}%)`);
-
-        // Build ffmpeg arguments based on encoding mode
-        const ffmpegArgs = ['-ss', start.toString(), '-i', 'input', '-t', actualDuration.toString()]
-
-        if (encodingMode === 'fast') {
-          // Stream copy mode: ultra-fast but may have seeking issues
-          ffmpegArgs.push('-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart')
-        } else {
-          // Re-encode mode: slower but guarantees perfect seeking
-          ffmpegArgs.push(
-            '-c:v', 'libx264',
-            '-preset', 'fast',
-            '-crf', '18',
-            '-c:a', 'aac',
-            '-b:a', '192k',
-            '-movflags', '+faststart',
-            '-avoid_negative_ts', 'make_zero'
-          )
-        }
-        ffmpegArgs.push(outputName)
+    updateQueue(entries => entries.map(e => {
+      const parts = results.filter(r => r.source === e.file.name)
+      return parts.length > 0 ? { ...e, results: parts, ...entrySummary(parts) } : e
+    }))
+    setStatus(cancelledRef.current ? 'Cancelled' : 'Done!')
+    setProcessing(false)
+  }
 
-        await ffmpeg.exec(ffmpegArgs)
+  // Every queue change goes through here so the running batch always sees
+  // the latest order, even between renders.
+  const updateQueue = (change) => {
+    const next = change(queueRef.current)
+    queueRef.current = next
+    setQueue(next)
+  }
 
-        const data = await ffmpeg.readFile(outputName)
-        const blob = new Blob([data.buffer], { type: file.type })
-        outputs.push({
-          name: outputName,
-          url: URL.createObjectURL(blob)
-        })
+  const setEntry = (id, patch) => {
+    updateQueue(entries => entries.map(e => (e.id === id ? { ...e, ...patch } : e)))
+  }
+
+  const enqueueFiles = (files, subtitles = []) => {
+    const added = files.map(media => ({
+      id: nextQueueId++,
+      file: media,
+      sidecars: subtitles.filter(s => subtitleMatches(media.name, s.name)),
+      status: 'queued',
+      results: [],
+      error: '',
+    }))
+    // A file already loaded on its own joins the batch as the first entry
+    const carried = file && queueRef.current.length === 0
+      ? [{ id: nextQueueId++, file, sidecars, status: 'queued', results: [], error: '' }]
+      : []
+    updateQueue(entries => [...entries, ...carried, ...added])
+    setFile(null)
+    setMediaInfo(null)
+    setSidecars([])
+    setFileDuration(0)
+    setResultFiles([])
+    setError('')
+  }
+
+  // Subtitles dropped on their own join the loaded file, or the queued
+  // files they are named after. A new file with the same name replaces
+  // the old one.
+  const attachSidecars = (subtitles) => {
+    const merge = (current, added) => [...current.filter(c => !added.some(a => a.name === c.name)), ...added]
+    if (queueRef.current.length > 0) {
+      updateQueue(entries => entries.map(e => {
+        const matching = subtitles.filter(s => subtitleMatches(e.file.name, s.name))
+        return matching.length > 0 && e.status === 'queued' ? { ...e, sidecars: merge(e.sidecars, matching) } : e
+      }))
+    } else if (file) {
+      setSidecars(merge(sidecars, subtitles))
+    }
+  }
+
+  const moveEntry = (id, offset) => {
+    updateQueue(entries => {
+      const index = entries.findIndex(e => e.id === id)
+      const target = index + offset
+      if (index < 0 || target < 0 || target >= entries.length) return entries
+      const next = [...entries]
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  const removeEntry = (id) => {
+    updateQueue(entries => entries.filter(e => e.id !== id || e.status === 'running'))
+  }
+
+  // Applies the current settings to every queued file in turn. Entries are
+  // picked from the live queue, so reordering or removing files mid-run
+  // takes effect for everything not yet started.
+  const runBatch = async () => {
+    cancelledRef.current = false
+    setProcessing(true)
+    setJobStats(null)
+    setError('')
+    setResultFiles([])
+
+    let entry
+    while (!cancelledRef.current && (entry = queueRef.current.find(e => e.status === 'queued'))) {
+      const { id, file: media, sidecars: subtitles } = entry
+      const position = queueRef.current.findIndex(e => e.id === id) + 1
+      const label = `[${position}/${queueRef.current.length}] `
+      setEntry(id, { status: 'running', error: '' })
+      try {
+        setStatus(`${label}Reading ${media.name}...`)
+        const { duration } = await readMediaInfo(media)
+        const results = output === 'files'
+          ? await exportSegments(media, await planMedia(media, duration, false, subtitles), label)
+          : await exportStream(media, duration, label)
+        setEntry(id, { results, ...entrySummary(results) })
+      } catch (err) {
+        console.error(`Batch entry ${media.name} failed:`, err)
+        setEntry(id, { status: 'failed', error: cancelledRef.current ? 'Cancelled' : err.message || 'Processing failed' })
       }
+    }
 
-      setResultFiles(outputs)
+    setResultFiles(queueRef.current.flatMap(e => e.results))
+    setStatus(cancelledRef.current ? 'Cancelled' : 'Done!')
+    setProgress(100)
+    setProcessing(false)
+  }
+
+  const selectTask = (next) => {
+    setTask(next)
+    setResultFiles([])
+    setError('')
+  }
+
+  // Files dropped in join mode are probed one at a time, so the stream-copy
+  // check is ready before anything is joined.
+  const addJoinFiles = async (files) => {
+    const added = files.map(media => ({ id: nextQueueId++, file: media, info: null, error: '' }))
+    setJoinEntries(entries => [...entries, ...added])
+    setResultFiles([])
+    setError('')
+    for (const entry of added) {
+      let patch
+      try {
+        patch = { info: await readMediaInfo(entry.file) }
+      } catch (err) {
+        console.error(`Reading ${entry.file.name} failed:`, err)
+        patch = { error: err.message }
+      }
+      setJoinEntries(entries => entries.map(e => (e.id === entry.id ? { ...e, ...patch } : e)))
+    }
+  }
+
+  const moveJoinEntry = (id, offset) => {
+    setJoinEntries(entries => {
+      const index = entries.findIndex(e => e.id === id)
+      const target = index + offset
+      if (index < 0 || target < 0 || target >= entries.length) return entries
+      const next = [...entries]
+      ;[next[index], next[target]] = [next[target], next[index]]
+      return next
+    })
+  }
+
+  // Joins the listed files into one. In Fast mode files whose streams match
+  // are stream-copied through the concat demuxer; otherwise, or when that
+  // copy fails, everything is re-encoded with the selected profile.
+  const joinMedia = async () => {
+    const ffmpeg = ffmpegRef.current
+    cancelledRef.current = false
+    setProcessing(true)
+    setJobStats(null)
+    setError('')
+    setResultFiles([])
+
+    let metadataPath
+    let name = null
+    try {
+      setStatus('Opening files...')
+      const paths = await openJoinInputs(joinEntries.map(e => e.file))
+      const files = joinEntries.map((e, i) => ({ name: e.file.name, path: paths[i], info: e.info }))
+      const total = files.reduce((sum, f) => sum + f.info.duration, 0)
+
+      if (joinMarkers) {
+        metadataPath = 'chapters.txt'
+        await ffmpeg.writeFile(metadataPath, chapterMetadata(joinChapters(files.map(f => ({ name: f.name, duration: f.info.duration })))))
+      }
+
+      if (encodingMode === 'fast' && joinCompatibility(files).compatible) {
+        name = joinOutputName(files[0].name, splitFileName(files[0].name).ext)
+        await ffmpeg.writeFile('join.txt', concatList(paths))
+        setStatus('Joining without re-encoding...')
+        startJob(total, 'seconds')
+        updateJob(job => beginStep(job, total))
+        try {
+          await runFFmpeg(buildConcatArgs('join.txt', name, metadataPath))
+          updateJob(finishStep)
+        } catch (err) {
+          if (cancelledRef.current) throw err
+          console.warn('Joining without re-encoding failed, re-encoding instead:', err)
+          await ffmpeg.deleteFile(name).catch(() => {}) // may not have been created
+          name = null
+        }
+      }
+      if (!name) {
+        name = joinOutputName(files[0].name, profile.container)
+        setStatus('Joining and re-encoding...')
+        startJob(total, 'seconds')
+        updateJob(job => beginStep(job, total))
+        await runFFmpeg(buildConcatFilterArgs(files, name, profile, metadataPath))
+        updateJob(finishStep)
+      }
+
+      const data = await ffmpeg.readFile(name)
+      const blob = new Blob([data.buffer], { type: mimeTypeFor(splitFileName(name).ext, joinEntries[0].file.type) })
+      setResultFiles([{ name, url: URL.createObjectURL(blob), blob, size: blob.size, source: name, status: 'done' }])
       setStatus('Done!')
       setProgress(100)
     } catch (err) {
       console.error(err)
-      setError('An error occurred. Please check if the file format is valid.')
+      if (!cancelledRef.current) setError(`Could not join the files: ${err.message}`)
     } finally {
+      // Whatever the join wrote, finished or not; none of it may exist yet
+      for (const path of [metadataPath, 'join.txt', name]) {
+        if (path) await ffmpeg.deleteFile(path).catch(() => {})
+      }
       setProcessing(false)
     }
   }
 
+  const toggleRange = (id) => {
+    setExcludedRanges(excludedRanges.includes(id) ? excludedRanges.filter(r => r !== id) : [...excludedRanges, id])
+  }
+
+  // Batches keep each source's parts in a folder of their own.
+  const archiveEntries = () => {
+    const grouped = new Set(resultFiles.map(f => f.source)).size > 1
+    return finishedFiles.map(f => ({
+      name: grouped ? `${safeFileName(f.source.replace(/\.[^.]+$/, ''))}/${f.name}` : f.name,
+      blob: f.blob,
+    }))
+  }
+
+  const archiveName = () => {
+    if (queue.length > 0) return 'media-splitter-parts.zip'
+    return `${resultFiles[0].source.replace(/\.[^.]+$/, '')}_parts.zip`
+  }
+
+  // Writes straight to disk where the File System Access API allows it;
+  // otherwise hands the browser a Blob that only references the parts.
+  const downloadZip = async () => {
+    const entries = archiveEntries()
+    const onProgress = (done, total) => setPackaging(`Packaging ZIP... ${done} / ${total}`)
+    setPackaging('Packaging ZIP...')
+    try {
+      if ('showSaveFilePicker' in window) {
+        const handle = await window.showSaveFilePicker({
+          suggestedName: archiveName(),
+          types: [{ description: 'ZIP archive', accept: { 'application/zip': ['.zip'] } }],
+        })
+        await writeZip(entries, await handle.createWritable(), onProgress)
+      } else {
+        const zip = await createZipBlob(entries, onProgress)
+        const url = URL.createObjectURL(zip)
+        const a = document.createElement('a')
+        a.href = url
+        a.download = archiveName()
+        document.body.appendChild(a)
+        a.click()
+        document.body.removeChild(a)
+        setTimeout(() => URL.revokeObjectURL(url), 60000)
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('ZIP export failed:', err)
+        setError(`Could not create the ZIP archive: ${err.message}`)
+      }
+    } finally {
+      setPackaging('')
+    }
+  }
+
+  const saveToFolder = async () => {
+    setPackaging('Saving to folder...')
+    try {
+      const root = await window.showDirectoryPicker({ mode: 'readwrite' })
+      const entries = archiveEntries()
+      for (let i = 0; i < entries.length; i++) {
+        setPackaging(`Saving to folder... ${i + 1} / ${entries.length}`)
+        const path = entries[i].name.split('/')
+        let dir = root
+        for (const folder of path.slice(0, -1)) dir = await dir.getDirectoryHandle(folder, { create: true })
+        const handle = await dir.getFileHandle(path[path.length - 1], { create: true })
+        const writable = await handle.createWritable()
+        await writable.write(entries[i].blob)
+        await writable.close()
+      }
+    } catch (err) {
+      if (err.name !== 'AbortError') {
+        console.error('Folder export failed:', err)
+        setError(`Could not save the parts to that folder: ${err.message}`)
+      }
+    } finally {
+      setPackaging('')
+    }
+  }
+
+  // One manifest per source file, describing the parts that finished.
+  const exportManifests = () => {
+    const format = MANIFEST_FORMATS.find(f => f.id === manifestFormat)
+    for (const source of new Set(finishedFiles.map(f => f.source))) {
+      const parts = finishedFiles.filter(f => f.source === source && f.plan)
+      if (parts.length === 0) continue
+      const { input, options } = parts[0].plan
+      const blob = new Blob([formatManifest(createManifest(input, options, parts), format.id, { fps: input.fps })], { type: format.type })
+      const url = URL.createObjectURL(blob)
+      const a = document.createElement('a')
+      a.href = url
+      a.download = `${splitFileName(source).baseName}_parts.${format.ext}`
+      document.body.appendChild(a)
+      a.click()
+      document.body.removeChild(a)
+      setTimeout(() => URL.revokeObjectURL(url), 60000)
+    }
+  }
+
   const downloadAll = () => {
-    resultFiles.forEach(file => {
+    finishedFiles.forEach(file => {
       const a = document.createElement('a')
       a.href = file.url
       a.download = file.name
@@ -213,6 +1459,40 @@ function App() {
     })
   }
 
+  const finishedFiles = resultFiles.filter(f => f.status === 'done')
+  const unfinishedFiles = resultFiles.filter(f => f.status !== 'done')
+
+  // What the current settings produce for the loaded file, from whatever
+  // has been probed so far. Strict size splits measure packets only when
+  // they run, so for those this is an estimate.
+  const previewPlan = (() => {
+    if (!file || fileDuration <= 0) return null
+    let ranges
+    if (splitMode === 'custom') {
+      ranges = importedPlan ? importedPlan.ranges : customRanges(fileDuration, customCuts, excludedRanges).filter(r => !r.excluded)
+    } else if (splitMode === 'auto' && suggestions) {
+      ranges = customRanges(fileDuration, suggestions.filter(s => s.accepted).map(s => ({ id: s.time, time: s.time })), [])
+    }
+    const input = { name: file.name, duration: fileDuration, size: file.size, chapters, keyframes }
+    return { ...createSplitPlan(input, splitOptions(ranges)), input }
+  })()
+  const joinReport = joinEntries.length > 1 && joinEntries.every(e => e.info)
+    ? joinCompatibility(joinEntries.map(e => ({ name: e.file.name, info: e.info })))
+    : null
+
+  const fastWarning = task === 'split' && encodingMode === 'fast' && mediaInfo ? fastModeWarning(mediaInfo) : ''
+
+  const padded = padding.overlap > 0 || padding.preRoll > 0 || padding.postRoll > 0
+
+  // Checks the loaded file against the memory model before anything runs.
+  // Inputs are normally mounted, so the source itself is not counted.
+  // Streaming output stays in the FS until the pass ends, like one part as
+  // long as the file.
+  const memoryPlan = output === 'files' || !previewPlan
+    ? previewPlan
+    : { ...previewPlan, segments: [{ start: 0, end: fileDuration }], capBytes: 0 }
+  const memoryNotice = memoryPlan ? memoryWarning(estimatePeakMemory(memoryPlan, { mounted: true }), navigator.deviceMemory) : ''
+
   return (
     <div className="container">
       <motion.div
@@ -230,6 +1510,13 @@ function App() {
           </div>
         )}
 
+        {engine?.core.id === 'st' && (
+          <div className="memory-warning mb-6">
+            <Cpu size={18} className="shrink-0" />
+            <p>This page isn't cross-origin isolated, so FFmpeg runs on a single thread. Splitting works the same but re-encoding will be slower.</p>
+          </div>
+        )}
+
         {error && (
           <div className="bg-red-50 border border-red-200 text-red-600 p-5 rounded-2xl mb-6 flex items-start gap-3 text-sm">
             <AlertCircle size={20} className="mt-0.5 shrink-0" />
@@ -248,6 +1535,23 @@ function App() {
 
         {loaded && (
           <>
+            <div className="flex bg-white/50 p-1 rounded-xl mb-6 shadow-sm border border-white/20">
+              <button
+                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${task === 'split' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                onClick={() => selectTask('split')}
+                disabled={processing}
+              >
+                <Scissors size={16} /> Split
+              </button>
+              <button
+                className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${task === 'join' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                onClick={() => selectTask('join')}
+                disabled={processing}
+              >
+                <Combine size={16} /> Join
+              </button>
+            </div>
+
             <div
               className={`upload-zone ${isDragging ? 'dragging' : ''}`}
               onDragOver={handleDragOver}
@@ -258,41 +1562,97 @@ function App() {
                 id="fileInput"
                 type="file"
                 hidden
+                multiple
                 onChange={handleFileChange}
-                accept="video/*,audio/*"
+                accept="video/*,audio/*,.srt,.vtt,.ass,.ssa"
+                disabled={processing}
               />
               <Upload className="upload-icon mx-auto" strokeWidth={2.5} />
 
               <div className="mb-4">
-                <p className="font-bold text-lg text-text-main">
-                  {file ? file.name : 'Drag and drop or select media'}
-                </p>
-                <p className="text-xs text-text-muted mt-1">
-                  {file ? `${(file.size / (1024 * 1024)).toFixed(2)} MB` : 'Supports MP4, MKV, MP3 (No max size limit)'}
-                </p>
+                {task === 'join' ? (
+                  <>
+                    <p className="font-bold text-lg text-text-main">
+                      {joinEntries.length > 0 ? 'Drop more files to add them to the end' : 'Drag and drop or select the files to join'}
+                    </p>
+                    <p className="text-xs text-text-muted mt-1">Parts from this tool or anywhere else; reorder them below.</p>
+                  </>
+                ) : (
+                  <>
+                    <p className="font-bold text-lg text-text-main">
+                      {queue.length > 0 ? 'Drop more files to add them to the batch' : file ? file.name : 'Drag and drop or select media'}
+                    </p>
+                    <p className="text-xs text-text-muted mt-1">
+                      {file ? `${(file.size / (1024 * 1024)).toFixed(2)} MB` : 'Supports MP4, MKV, MP3 (No max size limit). Select several to batch them.'}
+                    </p>
+                  </>
+                )}
+                {task === 'split' && file && sidecars.length > 0 && (
+                  <div className="flex flex-wrap justify-center gap-2 mt-2">
+                    {sidecars.map(subtitle => (
+                      <span key={subtitle.name} className="info-badge part-info">
+                        <Captions size={14} className="mr-1" /> {subtitle.name}
+                        <button
+                          className="ml-1"
+                          onClick={() => setSidecars(sidecars.filter(s => s !== subtitle))}
+                          disabled={processing}
+                          title="Remove subtitles"
+                        >
+                          <X size={12} />
+                        </button>
+                      </span>
+                    ))}
+                  </div>
+                )}
               </div>
 
               <button
                 className="upload-btn"
                 onClick={() => document.getElementById('fileInput').click()}
+                disabled={processing}
               >
                 Select File
               </button>
             </div>
 
+            {task === 'split' && file && mediaInfo && queue.length === 0 && <MediaInfoPanel info={mediaInfo} />}
+
+            {task === 'split' && queue.length > 0 && (
+              <BatchQueue
+                entries={queue}
+                onMove={moveEntry}
+                onRemove={removeEntry}
+                onClear={() => updateQueue(() => [])}
+                disabled={processing}
+              />
+            )}
+
             <div className="mt-8">
+              {task === 'split' && (
+                <PresetsPanel
+                  presets={presets}
+                  onSave={savePreset}
+                  onApply={applyPreset}
+                  onDelete={deletePreset}
+                  onExport={exportPresets}
+                  onImport={importPresets}
+                  onCopyLink={copySettingsLink}
+                  disabled={processing}
+                />
+              )}
+
               <label className="text-sm font-bold text-text-muted mb-3 block">Encoding Mode</label>
               <div className="flex bg-white/50 p-1 rounded-xl mb-6 shadow-sm border border-white/20">
                 <button
                   className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${encodingMode === 'compatible' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
-                  onClick={() => setEncodingMode('compatible')}
+                  onClick={() => selectEncodingMode('compatible')}
                   disabled={processing}
                 >
                   <Shield size={16} /> Compatible
                 </button>
                 <button
                   className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${encodingMode === 'fast' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
-                  onClick={() => setEncodingMode('fast')}
+                  onClick={() => selectEncodingMode('fast')}
                   disabled={processing}
                 >
                   <Zap size={16} /> Fast
@@ -303,148 +1663,328 @@ function App() {
                   <Shield size={14} style={{ marginRight: '0.25rem' }} /> Re-encodes for perfect seeking &amp; playback. Slightly slower.
                 </div>
               )}
+              {encodingMode === 'compatible' && (
+                <EncodingProfilePanel profile={profile} onChange={setProfile} disabled={processing} />
+              )}
               {encodingMode === 'fast' && (
                 <div className="info-badge" style={{ background: 'rgba(234,179,8,0.08)', color: '#ca8a04', border: '1px solid rgba(234,179,8,0.2)', marginBottom: '1rem', fontSize: '0.75rem' }}>
-                  <Zap size={14} style={{ marginRight: '0.25rem' }} /> Stream copy: instant speed, but seeking may not work on some players.
+                  <Zap size={14} style={{ marginRight: '0.25rem' }} /> {task === 'join' ? 'Stream copy: joins losslessly when the files match.' : snapKeyframes ? 'Stream copy: instant speed, cuts snap to the nearest keyframe.' : 'Stream copy: instant speed, but seeking may not work on some players.'}
                 </div>
               )}
+              {fastWarning && (
+                <div className="memory-warning mb-4">
+                  <AlertCircle size={18} className="shrink-0" />
+                  <p>{fastWarning}</p>
+                </div>
+              )}
+              {task === 'split' ? (
+                <>
+                  <label className="flex items-center gap-2 text-sm font-semibold text-text-muted mb-4" style={{ cursor: 'pointer' }}>
+                    <input
+                      type="checkbox"
+                      checked={keepAllStreams}
+                      onChange={() => setKeepAllStreams(!keepAllStreams)}
+                      disabled={processing}
+                    />
+                    Keep all streams (every audio track, subtitles, attachments)
+                  </label>
+                  {encodingMode === 'fast' && (
+                    <label className="flex items-center gap-2 text-sm font-semibold text-text-muted mb-6" style={{ cursor: 'pointer' }}>
+                      <input
+                        type="checkbox"
+                        checked={snapKeyframes}
+                        onChange={toggleSnapKeyframes}
+                        disabled={processing}
+                      />
+                      Snap cut points to keyframes
+                      {scanningKeyframes && <Loader2 size={14} className="animate-spin" />}
+                    </label>
+                  )}
 
-              <label className="text-sm font-bold text-text-muted mb-3 block">Select Split Options</label>
-
-              <div className="flex bg-white/50 p-1 rounded-xl mb-6 shadow-sm border border-white/20">
-                <button
-                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'parts' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
-                  onClick={() => setSplitMode('parts')}
-                  disabled={processing}
-                >
-                  <Hash size={16} /> Equal Parts
-                </button>
-                <button
-                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'size' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
-                  onClick={() => setSplitMode('size')}
-                  disabled={processing}
-                >
-                  <HardDrive size={16} /> By Size
-                </button>
-                <button
-                  className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'time' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
-                  onClick={() => setSplitMode('time')}
-                  disabled={processing}
-                >
-                  <Clock size={16} /> By Time
-                </button>
-              </div>
-
-              <div className="flex flex-wrap items-center gap-2 mb-4">
-                {file && (
-                  <>
-                    <div className="info-badge total-info">
-                      Total: <span className="font-black ml-1">{formatTime(fileDuration)}</span>
-                      <span className="mx-1">/</span>
-                      <span className="font-black">{(file.size / (1024 * 1024)).toFixed(1)} MB</span>
-                    </div>
-                    {splitMode === 'parts' && (
-                      <div className="info-badge part-info">
-                        Per split approx:
-                        <span className="font-black ml-1">
-                          {formatTime(fileDuration / parts)}
-                        </span>
-                        <span className="mx-1">/</span>
-                        <span className="font-black">
-                          {((file.size / parts) / (1024 * 1024)).toFixed(1)} MB
-                        </span>
-                      </div>
-                    )}
-                    {splitMode === 'size' && (
-                      <div className="info-badge part-info">
-                        Est. Parts:
-                        <span className="font-black ml-1">
-                          {Math.max(1, Math.ceil((file.size / (1024 * 1024)) / splitSize))}
-                        </span>
-                      </div>
-                    )}
-                    {splitMode === 'time' && (
-                      <div className="info-badge part-info">
-                        Est. Parts:
-                        <span className="font-black ml-1">
-                          {Math.max(1, Math.ceil(fileDuration / splitTime))}
-                        </span>
-                      </div>
-                    )}
-                  </>
-                )}
-              </div>
-
-              <div className="counter-section">
-                {splitMode === 'parts' && (
-                  <div className="counter-container">
-                    <button
-                      className="counter-btn"
-                      onClick={() => setParts(Math.max(2, parts - 1))}
-                      disabled={processing || parts <= 2}
-                    >
-                      <Minus size={20} />
-                    </button>
-                    <div className="counter-value">
-                      <span className="number">{parts}</span>
-                      <span className="unit">Parts</span>
-                    </div>
+                  <label className="text-sm font-bold text-text-muted mb-3 block">Output</label>
+                  <div className="flex bg-white/50 p-1 rounded-xl mb-6 shadow-sm border border-white/20">
                     <button
-                      className="counter-btn"
-                      onClick={() => setParts(parts + 1)}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${output === 'files' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                      onClick={() => setOutput('files')}
                       disabled={processing}
                     >
-                      <Plus size={20} />
+                      <Files size={16} /> Files
                     </button>
-                  </div>
-                )}
-
-                {splitMode === 'size' && (
-                  <div className="counter-container">
                     <button
-                      className="counter-btn"
-                      onClick={() => setSplitSize(Math.max(1, splitSize - 5))}
-                      disabled={processing || splitSize <= 1}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${output === 'hls' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                      onClick={() => setOutput('hls')}
+                      disabled={processing}
                     >
-                      <Minus size={20} />
+                      <Radio size={16} /> HLS
                     </button>
-                    <div className="counter-value">
-                      <span className="number">{splitSize}</span>
-                      <span className="unit">MB</span>
-                    </div>
                     <button
-                      className="counter-btn"
-                      onClick={() => setSplitSize(splitSize + 5)}
+                      className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${output === 'dash' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                      onClick={() => setOutput('dash')}
                       disabled={processing}
                     >
-                      <Plus size={20} />
+                      <Radio size={16} /> DASH
                     </button>
                   </div>
-                )}
 
-                {splitMode === 'time' && (
-                  <div className="counter-container">
-                    <button
-                      className="counter-btn"
-                      onClick={() => setSplitTime(Math.max(10, splitTime - 10))}
-                      disabled={processing || splitTime <= 10}
-                    >
-                      <Minus size={20} />
-                    </button>
-                    <div className="counter-value">
-                      <span className="number">{splitTime}</span>
-                      <span className="unit">Secs</span>
-                    </div>
-                    <button
-                      className="counter-btn"
-                      onClick={() => setSplitTime(splitTime + 10)}
+                  {output === 'files' ? (
+                    <>
+                      <label className="text-sm font-bold text-text-muted mb-3 block">Select Split Options</label>
+
+                      <div className="flex flex-wrap bg-white/50 p-1 rounded-xl mb-6 shadow-sm border border-white/20">
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'parts' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('parts')}
+                          disabled={processing}
+                        >
+                          <Hash size={16} /> Equal Parts
+                        </button>
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'size' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('size')}
+                          disabled={processing}
+                        >
+                          <HardDrive size={16} /> By Size
+                        </button>
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'time' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('time')}
+                          disabled={processing}
+                        >
+                          <Clock size={16} /> By Time
+                        </button>
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'custom' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('custom')}
+                          disabled={processing}
+                        >
+                          <ListVideo size={16} /> Custom
+                        </button>
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'auto' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('auto')}
+                          disabled={processing}
+                        >
+                          <Wand2 size={16} /> Auto
+                        </button>
+                        <button
+                          className={`flex-1 py-2 px-3 rounded-lg text-sm font-bold flex items-center justify-center gap-2 transition-all ${splitMode === 'chapters' ? 'bg-white shadow-md text-primary' : 'text-text-muted hover:bg-white/40'}`}
+                          onClick={() => selectSplitMode('chapters')}
+                          disabled={processing}
+                        >
+                          <BookOpen size={16} /> By Chapter
+                        </button>
+                      </div>
+
+                      {splitMode === 'size' && (
+                        <label className="flex items-center gap-2 text-sm font-semibold text-text-muted mb-4" style={{ cursor: 'pointer' }}>
+                          <input
+                            type="checkbox"
+                            checked={strictSize}
+                            onChange={() => setStrictSize(!strictSize)}
+                            disabled={processing}
+                          />
+                          Never exceed {splitSize} MB per part
+                        </label>
+                      )}
+
+                      <PaddingPanel
+                        padding={padding}
+                        onPaddingChange={setPadding}
+                        fades={fades}
+                        onFadesChange={setFades}
+                        reencoding={encodingMode === 'compatible'}
+                        disabled={processing}
+                      />
+
+                      <NamingPanel
+                        template={naming}
+                        onTemplateChange={setNaming}
+                        tagParts={tagParts}
+                        onTagPartsChange={setTagParts}
+                        previewNames={previewPlan ? previewPlan.segments.map(s => s.name) : []}
+                        error={namingProblem(naming)}
+                        disabled={processing}
+                      />
+
+                      <ConcurrencyPanel
+                        value={concurrency}
+                        onChange={setConcurrency}
+                        workerPlan={previewPlan ? planWorkers(previewPlan, workerSettings()) : null}
+                        cores={navigator.hardwareConcurrency}
+                        disabled={processing}
+                      />
+
+                      <div className="flex flex-wrap items-center gap-2 mb-4">
+                        {file && (
+                          <>
+                            <div className="info-badge total-info">
+                              Total: <span className="font-black ml-1">{formatTime(fileDuration)}</span>
+                              <span className="mx-1">/</span>
+                              <span className="font-black">{(file.size / (1024 * 1024)).toFixed(1)} MB</span>
+                            </div>
+                            {splitMode === 'parts' && (
+                              <div className="info-badge part-info">
+                                Per split approx:
+                                <span className="font-black ml-1">
+                                  {formatTime(padded && previewPlan ? Math.max(...previewPlan.segments.map(s => s.duration)) : fileDuration / parts)}
+                                </span>
+                                <span className="mx-1">/</span>
+                                <span className="font-black">
+                                  {((file.size / parts) / (1024 * 1024)).toFixed(1)} MB
+                                </span>
+                              </div>
+                            )}
+                            {splitMode === 'size' && (
+                              <div className="info-badge part-info">
+                                {strictSize ? 'Min. Parts:' : 'Est. Parts:'}
+                                <span className="font-black ml-1">
+                                  {Math.max(1, Math.ceil((file.size / (1024 * 1024)) / splitSize))}
+                                </span>
+                              </div>
+                            )}
+                            {splitMode === 'time' && (
+                              <div className="info-badge part-info">
+                                Est. Parts:
+                                <span className="font-black ml-1">
+                                  {Math.max(1, Math.ceil(fileDuration / splitTime))}
+                                </span>
+                              </div>
+                            )}
+                            {splitMode === 'custom' && (
+                              <div className="info-badge part-info">
+                                Segments:
+                                <span className="font-black ml-1">
+                                  {importedPlan ? importedPlan.ranges.length : customRanges(fileDuration, customCuts, excludedRanges).filter(r => !r.excluded).length}
+                                </span>
+                              </div>
+                            )}
+                            {splitMode === 'chapters' && chapters && (
+                              <div className="info-badge part-info">
+                                Chapters:
+                                <span className="font-black ml-1">
+                                  {chapters.filter(c => c.selected).length}
+                                </span>
+                              </div>
+                            )}
+                            {splitMode === 'auto' && suggestions && (
+                              <div className="info-badge part-info">
+                                Segments:
+                                <span className="font-black ml-1">
+                                  {suggestions.filter(s => s.accepted).length + 1}
+                                </span>
+                              </div>
+                            )}
+                            {previewPlan && !(splitMode === 'size' && strictSize) && (padded || importedPlan || (['parts', 'size', 'time'].includes(splitMode) && encodingMode === 'fast' && snapKeyframes && keyframes?.length > 0)) && (
+                              previewPlan.segments.map((seg, i) => (
+                                <div key={i} className="info-badge part-info">
+                                  #{i + 1}
+                                  <span className="font-black ml-1">{formatTimestamp(seg.start)}</span>
+                                  <span className="mx-1">→</span>
+                                  <span className="font-black">{formatTimestamp(seg.end)}</span>
+                                  {padded && <span className="ml-1">({formatTime(seg.duration)})</span>}
+                                </div>
+                              ))
+                            )}
+                          </>
+                        )}
+                      </div>
+
+                      {splitMode === 'custom' && (
+                        <div className="flex flex-wrap items-center gap-2 mb-4">
+                          <label className={`cut-action ${importedPlan ? 'active' : ''} ${processing ? 'disabled' : ''}`} title="Cut at the part ranges of an exported JSON or CSV manifest">
+                            <FileUp size={14} /> Import plan
+                            <input type="file" accept=".json,.csv,application/json,text/csv" hidden onChange={importPlan} disabled={processing} />
+                          </label>
+                          {importedPlan && (
+                            <>
+                              <span className="text-xs text-text-muted">{importedPlan.ranges.length} parts from {importedPlan.name}</span>
+                              <button className="cut-action" onClick={() => setImportedPlan(null)} disabled={processing} title="Go back to cut markers">
+                                <X size={14} /> Clear
+                              </button>
+                            </>
+                          )}
+                        </div>
+                      )}
+
+                      {splitMode === 'custom' && !importedPlan && queue.length > 0 && (
+                        <p className="text-xs text-text-muted mb-4">Custom cut markers belong to a single file, so this mode is not available for a batch. Import a plan to cut every file the same way.</p>
+                      )}
+
+                      {splitMode === 'custom' && !importedPlan && file && fileDuration > 0 && (
+                        <CutEditor
+                          file={file}
+                          duration={fileDuration}
+                          cuts={customCuts}
+                          ranges={customRanges(fileDuration, customCuts, excludedRanges)}
+                          onCutsChange={setCustomCuts}
+                          onToggleRange={toggleRange}
+                          disabled={processing}
+                        />
+                      )}
+
+                      {splitMode === 'chapters' && file && (
+                        <ChapterList
+                          chapters={chapters}
+                          loading={loadingChapters}
+                          onToggle={toggleChapter}
+                          onToggleAll={(selected) => setChapters(chapters.map(c => ({ ...c, selected })))}
+                          disabled={processing}
+                        />
+                      )}
+
+                      {splitMode === 'auto' && file && fileDuration > 0 && (
+                        <AutoSplitPanel
+                          settings={autoSettings}
+                          onSettingsChange={setAutoSettings}
+                          suggestions={suggestions}
+                          onToggleSuggestion={toggleSuggestion}
+                          onAnalyze={analyzeMedia}
+                          analyzing={analyzing}
+                          disabled={processing}
+                        />
+                      )}
+
+                      <div className="counter-section">
+                        {splitMode === 'parts' && (
+                          <Counter value={parts} unit="Parts" step={1} min={2} integer onChange={setParts} disabled={processing} />
+                        )}
+
+                        {splitMode === 'size' && (
+                          <Counter value={splitSize} unit="MB" step={5} min={1} onChange={setSplitSize} disabled={processing} />
+                        )}
+
+                        {splitMode === 'time' && (
+                          <Counter value={splitTime} unit="Secs" step={10} min={1} onChange={setSplitTime} disabled={processing} />
+                        )}
+                      </div>
+                    </>
+                  ) : (
+                    <StreamingPanel
+                      format={output}
+                      segmentSeconds={splitTime}
+                      onSegmentSecondsChange={setSplitTime}
+                      settings={streamSettings}
+                      onSettingsChange={setStreamSettings}
+                      encoding={encodingMode}
+                      profile={profile}
                       disabled={processing}
-                    >
-                      <Plus size={20} />
-                    </button>
-                  </div>
-                )}
-              </div>
+                    />
+                  )}
+                </>
+              ) : (
+                <JoinPanel
+                  entries={joinEntries}
+                  report={joinReport}
+                  copying={encodingMode === 'fast'}
+                  profileLabel={profile.label}
+                  markers={joinMarkers}
+                  onMarkersChange={setJoinMarkers}
+                  onMove={moveJoinEntry}
+                  onRemove={(id) => setJoinEntries(entries => entries.filter(e => e.id !== id))}
+                  onClear={() => setJoinEntries([])}
+                  disabled={processing}
+                />
+              )}
             </div>
 
             {processing && (
@@ -457,17 +1997,53 @@ function App() {
                     animate={{ width: `${progress}%` }}
                   />
                 </div>
+                {jobStats && <p className="progress-stats">{describeJob(jobStats)}</p>}
+                <button
+                  className="w-full mt-4 text-text-muted text-sm font-medium hover:text-red-600 transition-colors flex items-center justify-center gap-2"
+                  onClick={cancelJob}
+                  disabled={cancelling}
+                >
+                  {cancelling ? <Loader2 size={16} className="animate-spin" /> : <XCircle size={16} />}
+                  {cancelling ? 'Stopping FFmpeg...' : 'Cancel'}
+                </button>
+              </div>
+            )}
+
+            {!processing && resultFiles.length === 0 && task === 'split' && queue.length === 0 && memoryNotice && (
+              <div className="memory-warning mt-6">
+                <AlertCircle size={18} className="shrink-0" />
+                <p>{memoryNotice}</p>
               </div>
             )}
 
-            {!processing && resultFiles.length === 0 && (
+            {!processing && resultFiles.length === 0 && task === 'join' && (
+              <button
+                className="split-btn mt-6"
+                disabled={joinEntries.length < 2 || joinEntries.some(e => !e.info)}
+                onClick={joinMedia}
+              >
+                <Combine size={20} strokeWidth={2.5} />
+                Join {joinEntries.length} Files
+              </button>
+            )}
+
+            {!processing && resultFiles.length === 0 && task === 'split' && (
               <button
                 className="split-btn mt-6"
-                disabled={!file}
-                onClick={splitMedia}
+                disabled={(output === 'files' && namingProblem(naming) !== '') || (queue.length > 0 ? (output === 'files' && splitMode === 'custom' && !importedPlan) || !queue.some(e => e.status === 'queued') : (
+                  !file ||
+                  !mediaInfo ||
+                  analyzing ||
+                  (output === 'files' && (
+                    (splitMode === 'custom' && !importedPlan && customRanges(fileDuration, customCuts, excludedRanges).every(r => r.excluded)) ||
+                    (splitMode === 'auto' && !suggestions) ||
+                    (splitMode === 'chapters' && !chapters?.some(c => c.selected))
+                  ))
+                ))}
+                onClick={queue.length > 0 ? runBatch : splitMedia}
               >
                 <Scissors size={20} strokeWidth={2.5} />
-                Start Splitting
+                {queue.length > 0 ? `Start Batch (${queue.filter(e => e.status === 'queued').length} files)` : output === 'files' ? 'Start Splitting' : 'Start Segmenting'}
               </button>
             )}
 
@@ -477,39 +2053,123 @@ function App() {
                 animate={{ opacity: 1, y: 0 }}
                 className="mt-8"
               >
-                <div className="flex items-center justify-center gap-2 text-accent mb-6 font-bold text-lg">
-                  <CheckCircle2 size={24} />
-                  Split Complete!
-                </div>
+                {unfinishedFiles.length === 0 ? (
+                  <div className="flex items-center justify-center gap-2 text-accent mb-6 font-bold text-lg">
+                    <CheckCircle2 size={24} />
+                    {task === 'join' ? 'Join Complete!' : 'Split Complete!'}
+                  </div>
+                ) : (
+                  <div className="flex items-center justify-center gap-2 text-red-600 mb-6 font-bold text-lg">
+                    <AlertCircle size={24} />
+                    {finishedFiles.length} of {resultFiles.length} parts finished
+                  </div>
+                )}
 
-                <div className="space-y-3 mb-6">
-                  {resultFiles.map((f, i) => (
-                    <div key={i} className="result-item">
-                      <span className="truncate flex-1 mr-4 font-medium text-sm">{f.name}</span>
-                      <a href={f.url} download={f.name} className="bg-primary text-white px-3 py-1.5 rounded-lg text-xs font-bold hover:bg-primary-hover transition-colors flex items-center gap-1">
-                        <Download size={14} /> Download
-                      </a>
+                {[...new Set(resultFiles.map(f => f.source))].map(source => (
+                  <div key={source} className="mb-6">
+                    {queue.length > 0 && (
+                      <p className="text-sm font-bold text-text-muted mb-2 truncate">{source}</p>
+                    )}
+                    <div className="space-y-3">
+                      {resultFiles.filter(f => f.source === source).map((f, i) => (
+                        f.status === 'done' ? (
+                          <ResultPart key={i} part={f} playing={playingUrl === f.url} onPlay={setPlayingUrl} />
+                        ) : (
+                          <div key={i} className="result-item failed" title={f.error}>
+                            <span className="truncate flex-1 mr-4 font-medium text-sm">{f.name}</span>
+                            <span className="truncate text-xs font-semibold">
+                              {f.status === 'cancelled' ? 'Cancelled' : `Failed: ${f.error}`}
+                            </span>
+                          </div>
+                        )
+                      ))}
                     </div>
-                  ))}
-                </div>
+                  </div>
+                ))}
+
+                {unfinishedFiles.length > 0 && (
+                  <div className="retry-panel mb-6">
+                    {unfinishedFiles.some(f => f.retry.plan.options.encoding === 'fast') && (
+                      <label className="flex items-center gap-2 text-sm text-text-muted cursor-pointer">
+                        <input
+                          type="checkbox"
+                          checked={reencodeRetries}
+                          onChange={(e) => setReencodeRetries(e.target.checked)}
+                        />
+                        Re-encode stream-copied parts (Compatible mode)
+                      </label>
+                    )}
+                    <button
+                      className="upload-btn w-full flex items-center justify-center gap-2"
+                      onClick={() => retryFailed(reencodeRetries)}
+                      disabled={processing || cancelling || !!packaging}
+                    >
+                      <RotateCcw size={16} /> Retry failed parts ({unfinishedFiles.length})
+                    </button>
+                  </div>
+                )}
 
                 <button
                   className="split-btn"
-                  onClick={downloadAll}
+                  onClick={downloadZip}
+                  disabled={!!packaging || finishedFiles.length === 0}
                 >
-                  <Download size={20} />
-                  Download All
+                  {packaging ? <Loader2 size={20} className="animate-spin" /> : <FileArchive size={20} />}
+                  {packaging || 'Download as ZIP'}
                 </button>
 
+                <div className="flex gap-2 mt-4">
+                  {'showDirectoryPicker' in window && (
+                    <button
+                      className="upload-btn flex-1 flex items-center justify-center gap-2"
+                      onClick={saveToFolder}
+                      disabled={!!packaging || finishedFiles.length === 0}
+                    >
+                      <FolderDown size={16} /> Save to Folder
+                    </button>
+                  )}
+                  <button
+                    className="upload-btn flex-1 flex items-center justify-center gap-2"
+                    onClick={downloadAll}
+                    disabled={!!packaging || finishedFiles.length === 0}
+                  >
+                    <Download size={16} /> Download Separately
+                  </button>
+                </div>
+
+                {finishedFiles.some(f => f.plan) && (
+                  <div className="flex gap-2 mt-4">
+                    <select
+                      className="profile-select"
+                      value={manifestFormat}
+                      onChange={(e) => setManifestFormat(e.target.value)}
+                      aria-label="Manifest format"
+                    >
+                      {MANIFEST_FORMATS.map(f => <option key={f.id} value={f.id}>{f.label}</option>)}
+                    </select>
+                    <button
+                      className="upload-btn flex-1 flex items-center justify-center gap-2"
+                      onClick={exportManifests}
+                      title="Where every part came from, its size and the settings used"
+                    >
+                      <FileText size={16} /> Export Plan
+                    </button>
+                  </div>
+                )}
+
                 <button
                   className="w-full mt-4 text-text-muted text-sm font-medium hover:text-primary transition-colors"
                   onClick={() => {
                     setResultFiles([])
                     setFile(null)
+                    setMediaInfo(null)
+                    setSidecars([])
                     setProgress(0)
+                    updateQueue(() => [])
+                    setJoinEntries([])
                   }}
                 >
-                  Process another file
+                  {task === 'join' ? 'Join other files' : queue.length > 0 ? 'Process another batch' : 'Process another file'}
                 </button>
               </motion.div>
             )}
@@ -564,10 +2224,24 @@ function App() {
         <p className="text-xs opacity-70">
           Media Splitter is a powerful, free tool designed to help you split large video and audio files with zero quality loss using direct stream copying technique.
         </p>
+        {engine && (
+          <details className="diagnostics">
+            <summary>Diagnostics</summary>
+            <dl>
+              <dt>FFmpeg core</dt>
+              <dd>{engine.core.label}</dd>
+              <dt>Threads</dt>
+              <dd>{engine.threads}</dd>
+              <dt>Cross-origin isolated</dt>
+              <dd>{engine.isolated ? 'Yes' : 'No (SharedArrayBuffer unavailable)'}</dd>
+            </dl>
+          </details>
+        )}
       </footer>
       <style>{`
         .flex { display: flex; }
         .flex-col { flex-direction: column; }
+        .flex-wrap { flex-wrap: wrap; }
         .items-center { align-items: center; }
         .justify-center { justify-content: center; }
         .justify-between { justify-content: space-between; }
@@ -586,10 +2260,12 @@ function App() {
         .gap-2 { gap: 0.5rem; }
         .gap-3 { gap: 0.75rem; }
         .w-full { width: 100%; }
+        .space-y-2 > * + * { margin-top: 0.5rem; }
         .space-y-3 > * + * { margin-top: 0.75rem; }
         .mt-8 { margin-top: 2rem; }
         .mt-6 { margin-top: 1.5rem; }
         .mt-4 { margin-top: 1rem; }
+        .mt-2 { margin-top: 0.5rem; }
         .animate-spin { animation: spin 1s linear infinite; }
         @keyframes spin { from { transform: rotate(0deg); } to { transform: rotate(360deg); } }
       `}</style>
@@ -0,0 +1,79 @@
+import { Loader2, Wand2, VolumeX, Clapperboard, Timer, Check } from 'lucide-react'
+import { formatTimestamp } from './core/timecode.js'
+import NumberField from './NumberField.jsx'
+
+const SOURCE_ICONS = {
+  silence: VolumeX,
+  scene: Clapperboard,
+  fixed: Timer,
+}
+
+const SOURCE_LABELS = {
+  silence: 'Silence',
+  scene: 'Scene change',
+  fixed: 'No event nearby',
+}
+
+// Settings and review list for the Auto split mode. Analysis runs on demand;
+// every suggested cut can be toggled off before splitting.
+function AutoSplitPanel({ settings, onSettingsChange, suggestions, onToggleSuggestion, onAnalyze, analyzing, disabled }) {
+  const set = (key) => (value) => onSettingsChange({ ...settings, [key]: value })
+  const locked = disabled || analyzing
+
+  return (
+    <div className="auto-panel">
+      <div className="auto-fields">
+        <NumberField label="Target length" unit="sec" value={settings.target} step={10} min={10} onChange={set('target')} disabled={locked} />
+        <NumberField label="Silence threshold" unit="dB" value={settings.silenceThreshold} step={1} max={0} onChange={set('silenceThreshold')} disabled={locked} />
+        <NumberField label="Min. silence" unit="sec" value={settings.minSilence} step={0.1} min={0.1} onChange={set('minSilence')} disabled={locked} />
+        <label className="auto-field">
+          <span>Detect scene changes</span>
+          <input
+            type="checkbox"
+            checked={settings.detectScenes}
+            onChange={() => set('detectScenes')(!settings.detectScenes)}
+            disabled={locked}
+          />
+        </label>
+        {settings.detectScenes && (
+          <NumberField label="Scene threshold" unit="%" value={settings.sceneThreshold} step={1} min={1} max={100} onChange={set('sceneThreshold')} disabled={locked} />
+        )}
+      </div>
+
+      <button className="cut-action mb-4" onClick={onAnalyze} disabled={locked}>
+        {analyzing ? <Loader2 size={14} className="animate-spin" /> : <Wand2 size={14} />}
+        {analyzing ? 'Analyzing...' : suggestions ? 'Analyze again' : 'Analyze media'}
+      </button>
+
+      {suggestions && suggestions.length === 0 && (
+        <p className="text-xs text-text-muted mb-4">The file is shorter than the target length, so it will be kept as one part.</p>
+      )}
+
+      {suggestions && suggestions.length > 0 && (
+        <div className="space-y-2 mb-4">
+          {suggestions.map((s, i) => {
+            const Icon = SOURCE_ICONS[s.source]
+            return (
+              <div key={i} className={`cut-range ${s.accepted ? '' : 'excluded'}`}>
+                <span className="cut-range-time flex items-center gap-2">
+                  <Icon size={14} /> {formatTimestamp(s.time)}
+                  <span className="text-xs text-text-muted">{SOURCE_LABELS[s.source]}</span>
+                </span>
+                <button
+                  className="cut-action"
+                  onClick={() => onToggleSuggestion(i)}
+                  disabled={disabled}
+                  title={s.accepted ? 'Skip this cut' : 'Use this cut'}
+                >
+                  <Check size={14} /> {s.accepted ? 'Cut here' : 'Skipped'}
+                </button>
+              </div>
+            )
+          })}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default AutoSplitPanel
@@ -0,0 +1,59 @@
+import { ChevronUp, ChevronDown, X, Hourglass, Loader2, CheckCircle2, AlertCircle, Layers } from 'lucide-react'
+
+const STATUS = {
+  queued: { icon: Hourglass, label: 'Queued', color: 'var(--text-muted)' },
+  running: { icon: Loader2, label: 'Running', color: 'var(--primary)' },
+  done: { icon: CheckCircle2, label: 'Done', color: 'var(--accent)' },
+  failed: { icon: AlertCircle, label: 'Failed', color: '#dc2626' },
+}
+
+// Files waiting to be split with the current settings, processed top to bottom.
+function BatchQueue({ entries, onMove, onRemove, onClear, disabled }) {
+  return (
+    <div className="batch-queue">
+      <div className="flex items-center justify-between mb-2">
+        <span className="flex items-center gap-2 text-sm font-bold text-text-muted">
+          <Layers size={16} /> Batch queue ({entries.length})
+        </span>
+        <button className="cut-action" onClick={onClear} disabled={disabled}>
+          Clear
+        </button>
+      </div>
+      <div className="space-y-2">
+        {entries.map((entry, i) => {
+          const { icon: Icon, label, color } = STATUS[entry.status]
+          const locked = disabled && entry.status !== 'queued'
+          return (
+            <div key={entry.id} className="cut-range">
+              <span className="flex items-center gap-2 truncate text-sm font-semibold" title={entry.error || label}>
+                <Icon size={14} style={{ color, flexShrink: 0 }} className={entry.status === 'running' ? 'animate-spin' : ''} />
+                <span className="truncate">{entry.file.name}</span>
+                {entry.sidecars.length > 0 && (
+                  <span className="text-xs text-text-muted" style={{ whiteSpace: 'nowrap' }}>
+                    + {entry.sidecars.length} subtitle{entry.sidecars.length > 1 ? 's' : ''}
+                  </span>
+                )}
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="text-xs text-text-muted mr-2" style={{ whiteSpace: 'nowrap' }}>
+                  {entry.status === 'done' ? `${entry.results.length} parts` : entry.status === 'failed' ? entry.error : `${(entry.file.size / (1024 * 1024)).toFixed(1)} MB`}
+                </span>
+                <button className="cut-action" onClick={() => onMove(entry.id, -1)} disabled={locked || i === 0} title="Move up">
+                  <ChevronUp size={14} />
+                </button>
+                <button className="cut-action" onClick={() => onMove(entry.id, 1)} disabled={locked || i === entries.length - 1} title="Move down">
+                  <ChevronDown size={14} />
+                </button>
+                <button className="cut-action" onClick={() => onRemove(entry.id)} disabled={entry.status === 'running'} title="Remove">
+                  <X size={14} />
+                </button>
+              </span>
+            </div>
+          )
+        })}
+      </div>
+    </div>
+  )
+}
+
+export default BatchQueue
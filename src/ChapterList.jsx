@@ -0,0 +1,47 @@
+import { Loader2, BookOpen } from 'lucide-react'
+import { formatTimestamp } from './core/timecode.js'
+
+// Chapter table for the By Chapter mode, with a tick box per chapter.
+function ChapterList({ chapters, loading, onToggle, onToggleAll, disabled }) {
+  if (loading) {
+    return (
+      <div className="flex items-center justify-center gap-2 text-sm text-text-muted mb-4">
+        <Loader2 size={16} className="animate-spin" /> Reading chapters...
+      </div>
+    )
+  }
+
+  if (!chapters) return null
+
+  if (chapters.length === 0) {
+    return (
+      <p className="text-sm text-text-muted mb-4 flex items-center justify-center gap-2">
+        <BookOpen size={16} /> This file has no embedded chapters.
+      </p>
+    )
+  }
+
+  const allSelected = chapters.every(c => c.selected)
+
+  return (
+    <div className="space-y-2 mb-4">
+      <label className="flex items-center gap-2 text-xs font-bold text-text-muted" style={{ cursor: 'pointer' }}>
+        <input type="checkbox" checked={allSelected} onChange={() => onToggleAll(!allSelected)} disabled={disabled} />
+        {chapters.filter(c => c.selected).length} of {chapters.length} chapters selected
+      </label>
+      {chapters.map((c, i) => (
+        <label key={i} className={`cut-range ${c.selected ? '' : 'excluded'}`} style={{ cursor: 'pointer' }}>
+          <span className="flex items-center gap-2 truncate text-sm font-semibold">
+            <input type="checkbox" checked={c.selected} onChange={() => onToggle(i)} disabled={disabled} />
+            <span className="truncate">{c.title}</span>
+          </span>
+          <span className="text-xs text-text-muted" style={{ fontVariantNumeric: 'tabular-nums', whiteSpace: 'nowrap' }}>
+            {formatTimestamp(c.start)} · {formatTimestamp(c.end - c.start)}
+          </span>
+        </label>
+      ))}
+    </div>
+  )
+}
+
+export default ChapterList
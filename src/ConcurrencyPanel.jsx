@@ -0,0 +1,49 @@
+import { useState } from 'react'
+import { Cpu } from 'lucide-react'
+import { MAX_WORKERS, autoWorkers } from './core/pool.js'
+
+const COUNTS = Array.from({ length: MAX_WORKERS - 1 }, (_, i) => i + 2)
+
+// How many FFmpeg instances split parts side by side. `workerPlan` is what
+// planWorkers allows for the loaded file, shown so a cut-back isn't a surprise.
+function ConcurrencyPanel({ value, onChange, workerPlan, cores, disabled }) {
+  const [open, setOpen] = useState(false)
+
+  let note = 'Parts run one after another on a single FFmpeg instance.'
+  if (workerPlan?.reason === 'size') note = 'Parts with a size limit run one at a time, since an oversized part renumbers the parts after it.'
+  else if (workerPlan?.reason === 'memory') note = `Memory allows ${workerPlan.count} at a time for this file, so fewer instances will run.`
+  else if (workerPlan?.count > 1) note = `${workerPlan.count} parts will run at once, each instance reading the same file.`
+  else if (value !== 1) note = 'Extra instances start with the job and stop when it ends. Each one needs its own memory.'
+
+  return (
+    <div className="mb-4">
+      <button
+        className={`cut-action ${open || value !== 1 ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Split several parts at once"
+      >
+        <Cpu size={14} /> Parallel parts
+      </button>
+
+      {open && (
+        <div className="auto-fields mt-4">
+          <label className="auto-field">
+            <span>FFmpeg instances</span>
+            <select
+              value={String(value)}
+              onChange={e => onChange(e.target.value === 'auto' ? 'auto' : Number(e.target.value))}
+              disabled={disabled}
+            >
+              <option value="1">1 (one part at a time)</option>
+              <option value="auto">Auto ({autoWorkers(cores)})</option>
+              {COUNTS.map(count => <option key={count} value={count}>{count}</option>)}
+            </select>
+          </label>
+          <p className="text-xs text-text-muted">{note}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default ConcurrencyPanel
@@ -0,0 +1,56 @@
+import { useState } from 'react'
+import { Minus, Plus } from 'lucide-react'
+
+// The big +/- control for the split amount. The buttons step by `step`; the
+// number itself can be typed over, and every valid value at or above `min`
+// applies as it is typed. Leaving the field drops anything half-typed.
+function Counter({ value, unit, step, min, integer = false, onChange, disabled }) {
+  const [draft, setDraft] = useState(null)
+  const shown = draft ?? String(value)
+
+  const type = (text) => {
+    setDraft(text)
+    const next = Number(text)
+    if (text.trim() !== '' && Number.isFinite(next) && next >= min && (!integer || Number.isInteger(next))) onChange(next)
+  }
+
+  return (
+    <div className="counter-container">
+      <button
+        className="counter-btn"
+        onClick={() => onChange(Math.max(min, value - step))}
+        disabled={disabled || value <= min}
+      >
+        <Minus size={20} />
+      </button>
+      <div className="counter-value">
+        <input
+          className="number"
+          type="number"
+          inputMode={integer ? 'numeric' : 'decimal'}
+          value={shown}
+          min={min}
+          step={integer ? 1 : 'any'}
+          style={{ width: `${Math.max(2, shown.length) + 0.5}ch` }}
+          onChange={e => type(e.target.value)}
+          onBlur={() => setDraft(null)}
+          onKeyDown={e => {
+            if (e.key === 'Enter') e.currentTarget.blur()
+          }}
+          disabled={disabled}
+          aria-label={unit}
+        />
+        <span className="unit">{unit}</span>
+      </div>
+      <button
+        className="counter-btn"
+        onClick={() => onChange(value + step)}
+        disabled={disabled}
+      >
+        <Plus size={20} />
+      </button>
+    </div>
+  )
+}
+
+export default Counter
@@ -0,0 +1,165 @@
+import { useState, useRef, useMemo, useEffect } from 'react'
+import { Plus, Trash2, Eye, EyeOff, ClipboardPaste } from 'lucide-react'
+import { formatTimestamp, parseTimestampList } from './core/timecode.js'
+
+let nextCutId = 1
+const makeCut = (time) => ({ id: nextCutId++, time })
+
+// Embedded player plus a timeline of cut markers for the Custom split mode.
+// Click the track to drop a marker, drag a marker to move it, double-click
+// it to delete. Each range between markers can be excluded from the output.
+function CutEditor({ file, duration, cuts, ranges, onCutsChange, onToggleRange, disabled }) {
+  const [currentTime, setCurrentTime] = useState(0)
+  const [pasted, setPasted] = useState('')
+  const [dragId, setDragId] = useState(null)
+  const playerRef = useRef(null)
+  const trackRef = useRef(null)
+
+  const src = useMemo(() => URL.createObjectURL(file), [file])
+  useEffect(() => () => URL.revokeObjectURL(src), [src])
+
+  const isAudio = file.type.startsWith('audio/')
+  const percent = (time) => `${(time / duration) * 100}%`
+
+  const timeAt = (clientX) => {
+    const rect = trackRef.current.getBoundingClientRect()
+    const ratio = Math.min(1, Math.max(0, (clientX - rect.left) / rect.width))
+    return ratio * duration
+  }
+
+  const setCuts = (next) => {
+    onCutsChange(next.filter(c => c.time > 0 && c.time < duration).sort((a, b) => a.time - b.time))
+  }
+
+  const addCut = (time) => {
+    if (cuts.some(c => Math.abs(c.time - time) < 0.05)) return
+    setCuts([...cuts, makeCut(time)])
+  }
+
+  const removeCut = (id) => setCuts(cuts.filter(c => c.id !== id))
+
+  const seek = (time) => {
+    if (playerRef.current) playerRef.current.currentTime = time
+  }
+
+  const handleTrackClick = (e) => {
+    if (disabled || e.target !== trackRef.current) return
+    const time = timeAt(e.clientX)
+    addCut(time)
+    seek(time)
+  }
+
+  const handlePointerMove = (e) => {
+    if (dragId === null) return
+    const time = timeAt(e.clientX)
+    setCuts(cuts.map(c => (c.id === dragId ? { ...c, time } : c)))
+  }
+
+  const handlePointerUp = () => setDragId(null)
+
+  const applyPasted = () => {
+    const times = parseTimestampList(pasted, duration)
+    if (times.length > 0) setCuts(times.map(makeCut))
+  }
+
+  return (
+    <div className="cut-editor">
+      {isAudio ? (
+        <audio ref={playerRef} src={src} controls className="cut-player" onTimeUpdate={e => setCurrentTime(e.target.currentTime)} />
+      ) : (
+        <video ref={playerRef} src={src} controls className="cut-player" onTimeUpdate={e => setCurrentTime(e.target.currentTime)} />
+      )}
+
+      <div
+        ref={trackRef}
+        className="timeline-track"
+        onClick={handleTrackClick}
+        onPointerMove={handlePointerMove}
+        onPointerUp={handlePointerUp}
+        onPointerLeave={handlePointerUp}
+      >
+        {ranges.filter(r => r.excluded).map(r => (
+          <div
+            key={r.id}
+            className="timeline-range excluded"
+            style={{ left: percent(r.start), width: percent(r.end - r.start) }}
+          />
+        ))}
+        <div className="timeline-playhead" style={{ left: percent(currentTime) }} />
+        {cuts.map(c => (
+          <div
+            key={c.id}
+            className={`timeline-marker ${dragId === c.id ? 'dragging' : ''}`}
+            style={{ left: percent(c.time) }}
+            title={`${formatTimestamp(c.time)} (double-click to remove)`}
+            onPointerDown={(e) => {
+              if (disabled) return
+              e.preventDefault()
+              setDragId(c.id)
+            }}
+            onDoubleClick={() => !disabled && removeCut(c.id)}
+          />
+        ))}
+      </div>
+
+      <div className="flex items-center justify-between gap-2 mt-2 mb-4 text-xs text-text-muted">
+        <span>{formatTimestamp(currentTime)} / {formatTimestamp(duration)}</span>
+        <button
+          className="cut-action"
+          onClick={() => addCut(currentTime)}
+          disabled={disabled || currentTime <= 0}
+        >
+          <Plus size={14} /> Cut at playhead
+        </button>
+      </div>
+
+      <div className="space-y-2 mb-4">
+        {ranges.map((r, i) => (
+          <div key={r.id} className={`cut-range ${r.excluded ? 'excluded' : ''}`}>
+            <button className="cut-range-time" onClick={() => seek(r.start)}>
+              #{i + 1} {formatTimestamp(r.start)} → {formatTimestamp(r.end)}
+            </button>
+            <div className="flex items-center gap-1">
+              <button
+                className="cut-action"
+                onClick={() => onToggleRange(r.id)}
+                disabled={disabled}
+                title={r.excluded ? 'Include this range' : 'Exclude this range'}
+              >
+                {r.excluded ? <EyeOff size={14} /> : <Eye size={14} />}
+              </button>
+              {r.id !== 'start' && (
+                <button
+                  className="cut-action"
+                  onClick={() => removeCut(r.id)}
+                  disabled={disabled}
+                  title="Remove the cut that starts this range"
+                >
+                  <Trash2 size={14} />
+                </button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+
+      <textarea
+        className="cut-paste"
+        rows={3}
+        placeholder={'00:01:30, 00:04:12.5\nor chapter lines like "4:12 Second topic"'}
+        value={pasted}
+        onChange={e => setPasted(e.target.value)}
+        disabled={disabled}
+      />
+      <button
+        className="cut-action mt-2"
+        onClick={applyPasted}
+        disabled={disabled || !pasted.trim()}
+      >
+        <ClipboardPaste size={14} /> Replace markers with pasted times
+      </button>
+    </div>
+  )
+}
+
+export default CutEditor
@@ -0,0 +1,118 @@
+import { useState } from 'react'
+import { SlidersHorizontal } from 'lucide-react'
+import { AUDIO_CODECS, CONTAINERS, PROFILES, VIDEO_CODECS, hasVideo } from './core/profiles.js'
+
+const SCALES = [
+  { value: '', label: 'Source' },
+  { value: '2160', label: '2160p' },
+  { value: '1080', label: '1080p' },
+  { value: '720', label: '720p' },
+  { value: '480', label: '480p' },
+  { value: '360', label: '360p' },
+  { value: '1080x1920', label: '1080×1920 (vertical)' },
+]
+
+// Preset picker plus the advanced fields behind it. Editing any field turns
+// the selection into a 'custom' profile based on the preset.
+function EncodingProfilePanel({ profile, onChange, disabled }) {
+  const [advanced, setAdvanced] = useState(false)
+
+  const update = (patch) => onChange({ ...profile, ...patch, id: 'custom', label: 'Custom' })
+  const numeric = (key) => (e) => {
+    const value = parseFloat(e.target.value)
+    if (Number.isFinite(value)) update({ [key]: value })
+  }
+  const video = hasVideo(profile)
+
+  return (
+    <div className="mb-6">
+      <div className="flex items-center gap-2">
+        <select
+          className="profile-select flex-1"
+          value={profile.id}
+          onChange={e => onChange(PROFILES.find(p => p.id === e.target.value))}
+          disabled={disabled}
+        >
+          {PROFILES.map(p => <option key={p.id} value={p.id}>{p.label}</option>)}
+          {profile.id === 'custom' && <option value="custom">Custom</option>}
+        </select>
+        <button
+          className={`cut-action ${advanced ? 'active' : ''}`}
+          onClick={() => setAdvanced(!advanced)}
+          title="Advanced encoding settings"
+        >
+          <SlidersHorizontal size={14} /> Advanced
+        </button>
+      </div>
+
+      {(profile.maxDuration || profile.maxSizeMB) && (
+        <p className="text-xs text-text-muted mt-2">
+          Parts are kept under {[profile.maxDuration && `${profile.maxDuration} s`, profile.maxSizeMB && `${profile.maxSizeMB} MB`].filter(Boolean).join(' and ')}.
+        </p>
+      )}
+
+      {advanced && (
+        <div className="auto-fields mt-4">
+          <label className="auto-field">
+            <span>Container</span>
+            <select value={profile.container} onChange={e => update({ container: e.target.value })} disabled={disabled}>
+              {CONTAINERS.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          <label className="auto-field">
+            <span>Video codec</span>
+            <select value={profile.videoCodec} onChange={e => update({ videoCodec: e.target.value })} disabled={disabled}>
+              {VIDEO_CODECS.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          {video && (
+            <>
+              <label className="auto-field">
+                <span>Quality</span>
+                <select value={profile.rateControl} onChange={e => update({ rateControl: e.target.value })} disabled={disabled}>
+                  <option value="crf">CRF</option>
+                  <option value="bitrate">Bitrate</option>
+                </select>
+              </label>
+              {profile.rateControl === 'crf' ? (
+                <label className="auto-field">
+                  <span>CRF</span>
+                  <input type="number" min={0} max={63} value={profile.crf} onChange={numeric('crf')} disabled={disabled} />
+                </label>
+              ) : (
+                <label className="auto-field">
+                  <span>Video bitrate (kbit/s)</span>
+                  <input type="number" min={100} step={100} value={profile.videoBitrate} onChange={numeric('videoBitrate')} disabled={disabled} />
+                </label>
+              )}
+              <label className="auto-field">
+                <span>Scale</span>
+                <select value={profile.scale} onChange={e => update({ scale: e.target.value })} disabled={disabled}>
+                  {SCALES.map(s => <option key={s.value} value={s.value}>{s.label}</option>)}
+                </select>
+              </label>
+              <label className="auto-field">
+                <span>FPS (0 = source)</span>
+                <input type="number" min={0} max={120} value={profile.fps} onChange={numeric('fps')} disabled={disabled} />
+              </label>
+            </>
+          )}
+          <label className="auto-field">
+            <span>Audio codec</span>
+            <select value={profile.audioCodec} onChange={e => update({ audioCodec: e.target.value })} disabled={disabled}>
+              {AUDIO_CODECS.map(c => <option key={c} value={c}>{c}</option>)}
+            </select>
+          </label>
+          {profile.audioCodec !== 'none' && (
+            <label className="auto-field">
+              <span>Audio bitrate (kbit/s)</span>
+              <input type="number" min={32} step={16} value={profile.audioBitrate} onChange={numeric('audioBitrate')} disabled={disabled} />
+            </label>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default EncodingProfilePanel
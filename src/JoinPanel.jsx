@@ -0,0 +1,73 @@
+import { ChevronUp, ChevronDown, X, Loader2, AlertCircle, CheckCircle2, Combine } from 'lucide-react'
+import { formatTime } from './core/timecode.js'
+
+// Files to join, top to bottom, with the result of the stream-copy check.
+function JoinPanel({ entries, report, copying, profileLabel, markers, onMarkersChange, onMove, onRemove, onClear, disabled }) {
+  return (
+    <div className="mb-6">
+      <div className="batch-queue">
+        <div className="flex items-center justify-between mb-2">
+          <span className="flex items-center gap-2 text-sm font-bold text-text-muted">
+            <Combine size={16} /> Files to join ({entries.length})
+          </span>
+          <button className="cut-action" onClick={onClear} disabled={disabled || entries.length === 0}>
+            Clear
+          </button>
+        </div>
+        {entries.length === 0 && <p className="text-xs text-text-muted">Drop two or more files to join them in order.</p>}
+        <div className="space-y-2">
+          {entries.map((entry, i) => (
+            <div key={entry.id} className="cut-range">
+              <span className="flex items-center gap-2 truncate text-sm font-semibold" title={entry.error || entry.file.name}>
+                {entry.error
+                  ? <AlertCircle size={14} style={{ color: '#dc2626', flexShrink: 0 }} />
+                  : !entry.info && <Loader2 size={14} className="animate-spin" style={{ flexShrink: 0 }} />}
+                <span className="truncate">{i + 1}. {entry.file.name}</span>
+              </span>
+              <span className="flex items-center gap-1">
+                <span className="text-xs text-text-muted mr-2" style={{ whiteSpace: 'nowrap' }}>
+                  {entry.error ? 'Unreadable' : entry.info ? formatTime(entry.info.duration) : 'Reading...'}
+                </span>
+                <button className="cut-action" onClick={() => onMove(entry.id, -1)} disabled={disabled || i === 0} title="Move up">
+                  <ChevronUp size={14} />
+                </button>
+                <button className="cut-action" onClick={() => onMove(entry.id, 1)} disabled={disabled || i === entries.length - 1} title="Move down">
+                  <ChevronDown size={14} />
+                </button>
+                <button className="cut-action" onClick={() => onRemove(entry.id)} disabled={disabled} title="Remove">
+                  <X size={14} />
+                </button>
+              </span>
+            </div>
+          ))}
+        </div>
+      </div>
+
+      {report && (
+        report.compatible ? (
+          <p className="flex items-center gap-2 text-xs font-semibold mt-3" style={{ color: '#16a34a' }}>
+            <CheckCircle2 size={14} />
+            {copying ? 'The streams match, so the files are joined without re-encoding.' : 'The streams match; choose Fast to join without re-encoding.'}
+          </p>
+        ) : (
+          <div className="memory-warning mt-3">
+            <AlertCircle size={18} className="shrink-0" />
+            <div>
+              <p>These files can't be joined without re-encoding, so they will be re-encoded with {profileLabel}:</p>
+              <ul className="text-xs mt-1">
+                {report.problems.map(problem => <li key={problem}>{problem}</li>)}
+              </ul>
+            </div>
+          </div>
+        )
+      )}
+
+      <label className="flex items-center gap-2 text-sm font-semibold text-text-muted mt-4" style={{ cursor: 'pointer' }}>
+        <input type="checkbox" checked={markers} onChange={() => onMarkersChange(!markers)} disabled={disabled} />
+        Add a chapter marker at every join point
+      </label>
+    </div>
+  )
+}
+
+export default JoinPanel
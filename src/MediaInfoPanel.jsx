@@ -0,0 +1,57 @@
+import { Fragment, useState } from 'react'
+import { Info } from 'lucide-react'
+import { formatTimestamp } from './core/timecode.js'
+
+const kbps = (bitsPerSecond) => (bitsPerSecond > 0 ? `${Math.round(bitsPerSecond / 1000)} kbit/s` : '')
+
+// One line per stream: what it is and the numbers that matter for its type.
+const describeStream = (stream) => {
+  const details = [stream.codec + (stream.profile ? ` (${stream.profile})` : '')]
+  if (stream.type === 'video') {
+    if (stream.width) details.push(`${stream.width}×${stream.height}`)
+    if (stream.fps && !stream.attachedPic) details.push(`${Math.round(stream.fps * 100) / 100} fps`)
+    if (stream.attachedPic) details.push('cover art')
+  }
+  if (stream.type === 'audio') {
+    if (stream.sampleRate) details.push(`${stream.sampleRate / 1000} kHz`)
+    if (stream.channelLayout || stream.channels) details.push(stream.channelLayout || `${stream.channels} ch`)
+  }
+  details.push(kbps(stream.bitrate), stream.language)
+  return details.filter(Boolean).join(' · ')
+}
+
+// What FFmpeg found in the loaded file.
+function MediaInfoPanel({ info }) {
+  const [open, setOpen] = useState(false)
+
+  return (
+    <div className="mt-4">
+      <button className={`cut-action ${open ? 'active' : ''}`} onClick={() => setOpen(!open)}>
+        <Info size={14} /> Media info
+      </button>
+
+      {open && (
+        <dl className="media-info mt-2">
+          <dt>Container</dt>
+          <dd>{info.container}</dd>
+          <dt>Duration</dt>
+          <dd>{formatTimestamp(info.duration)}</dd>
+          {info.bitrate > 0 && (
+            <>
+              <dt>Bitrate</dt>
+              <dd>{kbps(info.bitrate)}</dd>
+            </>
+          )}
+          {info.streams.map(stream => (
+            <Fragment key={stream.index}>
+              <dt>#{stream.index} {stream.type}</dt>
+              <dd>{describeStream(stream)}</dd>
+            </Fragment>
+          ))}
+        </dl>
+      )}
+    </div>
+  )
+}
+
+export default MediaInfoPanel
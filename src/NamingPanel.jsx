@@ -0,0 +1,78 @@
+import { useState } from 'react'
+import { AlertCircle, FileText } from 'lucide-react'
+import { DEFAULT_NAMING } from './core/naming.js'
+
+const TOKENS = ['{name}', '{index}', '{index:03}', '{total}', '{start}', '{end}', '{title}', '{ext}']
+
+// How parts are named and tagged, with the names the current settings give.
+// `error` says why the template can't be used; it stays visible with the
+// panel closed, since it is what holds the split back.
+function NamingPanel({ template, onTemplateChange, tagParts, onTagPartsChange, previewNames, error, disabled }) {
+  const [open, setOpen] = useState(false)
+  const shown = previewNames.length > 4 ? [...previewNames.slice(0, 3), '…', previewNames[previewNames.length - 1]] : previewNames
+
+  return (
+    <div className="mb-4">
+      <button
+        className={`cut-action ${open || template || tagParts ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Output names and metadata"
+      >
+        <FileText size={14} /> Naming
+      </button>
+
+      {open && (
+        <div className="naming-panel mt-4">
+          <label className="auto-field">
+            <span>Name template</span>
+            <input
+              type="text"
+              className="naming-input"
+              value={template}
+              placeholder={DEFAULT_NAMING}
+              onChange={e => onTemplateChange(e.target.value)}
+              disabled={disabled}
+              spellCheck={false}
+            />
+          </label>
+          <div className="flex flex-wrap gap-1 mt-2">
+            {TOKENS.map(token => (
+              <button
+                key={token}
+                className="cut-action"
+                onClick={() => onTemplateChange(`${template || DEFAULT_NAMING.replace('.{ext}', '')}${token}`)}
+                disabled={disabled}
+                title="Append to the template"
+              >
+                {token}
+              </button>
+            ))}
+          </div>
+          {!error && shown.length > 0 && (
+            <ul className="naming-preview mt-2">
+              {shown.map((name, i) => <li key={i}>{name}</li>)}
+            </ul>
+          )}
+          <label className="flex items-center gap-2 text-sm font-semibold text-text-muted mt-2" style={{ cursor: 'pointer' }}>
+            <input
+              type="checkbox"
+              checked={tagParts}
+              onChange={() => onTagPartsChange(!tagParts)}
+              disabled={disabled}
+            />
+            Tag each part with a title ("Part 3 of 12") and track number
+          </label>
+        </div>
+      )}
+
+      {error && (
+        <div className="memory-warning mt-2">
+          <AlertCircle size={18} className="shrink-0" />
+          <p>{error}</p>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default NamingPanel
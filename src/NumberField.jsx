@@ -0,0 +1,26 @@
+// Labelled number input used by the settings panels. Ignores input that
+// doesn't parse, so clearing the box doesn't reset the setting.
+function NumberField({ label, unit, value, step, min, max, onChange, disabled }) {
+  return (
+    <label className="auto-field">
+      <span>{label}</span>
+      <span className="flex items-center gap-1">
+        <input
+          type="number"
+          value={value}
+          step={step}
+          min={min}
+          max={max}
+          onChange={e => {
+            const next = parseFloat(e.target.value)
+            if (Number.isFinite(next)) onChange(next)
+          }}
+          disabled={disabled}
+        />
+        <span className="text-xs text-text-muted">{unit}</span>
+      </span>
+    </label>
+  )
+}
+
+export default NumberField
@@ -0,0 +1,50 @@
+import { useState } from 'react'
+import { Layers } from 'lucide-react'
+import NumberField from './NumberField.jsx'
+
+// Extra context around every part: overlap with the previous part, fixed
+// padding on both sides and, when re-encoding, fades at the boundaries.
+function PaddingPanel({ padding, onPaddingChange, fades, onFadesChange, reencoding, disabled }) {
+  const [open, setOpen] = useState(false)
+
+  const pad = (key) => (value) => onPaddingChange({ ...padding, [key]: Math.max(0, value) })
+  const fade = (key) => (value) => onFadesChange({ ...fades, [key]: value })
+  const active = padding.overlap > 0 || padding.preRoll > 0 || padding.postRoll > 0 || (reencoding && (fades.audio || fades.video))
+
+  return (
+    <div className="mb-4">
+      <button
+        className={`cut-action ${open || active ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Overlap, padding and fades between parts"
+      >
+        <Layers size={14} /> Overlap &amp; padding
+      </button>
+
+      {open && (
+        <div className="auto-fields mt-4">
+          <NumberField label="Overlap with previous part" unit="sec" value={padding.overlap} step={1} min={0} onChange={pad('overlap')} disabled={disabled} />
+          <NumberField label="Pre-roll" unit="sec" value={padding.preRoll} step={0.5} min={0} onChange={pad('preRoll')} disabled={disabled} />
+          <NumberField label="Post-roll" unit="sec" value={padding.postRoll} step={0.5} min={0} onChange={pad('postRoll')} disabled={disabled} />
+          {reencoding && (
+            <>
+              <label className="auto-field">
+                <span>Fade audio in/out</span>
+                <input type="checkbox" checked={fades.audio} onChange={() => fade('audio')(!fades.audio)} disabled={disabled} />
+              </label>
+              <label className="auto-field">
+                <span>Fade video in/out</span>
+                <input type="checkbox" checked={fades.video} onChange={() => fade('video')(!fades.video)} disabled={disabled} />
+              </label>
+              {(fades.audio || fades.video) && (
+                <NumberField label="Fade length" unit="sec" value={fades.seconds} step={0.25} min={0.1} onChange={value => fade('seconds')(Math.max(0.1, value))} disabled={disabled} />
+              )}
+            </>
+          )}
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PaddingPanel
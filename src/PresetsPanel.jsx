@@ -0,0 +1,86 @@
+import { useState } from 'react'
+import { Bookmark, Download, FileUp, Link, Trash2 } from 'lucide-react'
+
+// Named presets kept in this browser, their JSON export and import, and a
+// link that opens the app with the current settings.
+function PresetsPanel({ presets, onSave, onApply, onDelete, onExport, onImport, onCopyLink, disabled }) {
+  const [open, setOpen] = useState(false)
+  const [selected, setSelected] = useState('')
+  const [name, setName] = useState('')
+  const [copied, setCopied] = useState(false)
+
+  const chosen = presets.some(p => p.name === selected) ? selected : ''
+  const save = () => {
+    if (!name.trim()) return
+    onSave(name.trim())
+    setSelected(name.trim())
+    setName('')
+  }
+  const copyLink = async () => {
+    if (await onCopyLink()) {
+      setCopied(true)
+      setTimeout(() => setCopied(false), 2000)
+    }
+  }
+
+  return (
+    <div className="mb-6">
+      <button
+        className={`cut-action ${open ? 'active' : ''}`}
+        onClick={() => setOpen(!open)}
+        title="Save, share and reuse split settings"
+      >
+        <Bookmark size={14} /> Presets
+      </button>
+
+      {open && (
+        <div className="auto-fields mt-4">
+          {presets.length > 0 && (
+            <div className="preset-row">
+              <select value={chosen} onChange={e => setSelected(e.target.value)} disabled={disabled} aria-label="Saved presets">
+                <option value="">Choose a preset…</option>
+                {presets.map(p => <option key={p.name} value={p.name}>{p.name}</option>)}
+              </select>
+              <button className="cut-action" onClick={() => onApply(chosen)} disabled={disabled || !chosen}>
+                Apply
+              </button>
+              <button className="cut-action" onClick={() => onDelete(chosen)} disabled={disabled || !chosen} title="Delete preset">
+                <Trash2 size={14} />
+              </button>
+            </div>
+          )}
+          <div className="preset-row">
+            <input
+              type="text"
+              className="preset-input"
+              value={name}
+              placeholder="Preset name"
+              onChange={e => setName(e.target.value)}
+              onKeyDown={e => {
+                if (e.key === 'Enter') save()
+              }}
+              disabled={disabled}
+            />
+            <button className="cut-action" onClick={save} disabled={disabled || !name.trim()} title="Save the current settings under this name; an existing preset with the name is replaced">
+              Save current
+            </button>
+          </div>
+          <div className="preset-row">
+            <button className="cut-action" onClick={onExport} disabled={presets.length === 0} title="Download every preset as JSON">
+              <Download size={14} /> Export
+            </button>
+            <label className={`cut-action ${disabled ? 'disabled' : ''}`} title="Add the presets from an exported JSON file">
+              <FileUp size={14} /> Import
+              <input type="file" accept=".json,application/json" hidden onChange={onImport} disabled={disabled} />
+            </label>
+            <button className="cut-action" onClick={copyLink} title="Copy a link that opens the app with the current settings">
+              <Link size={14} /> {copied ? 'Link copied' : 'Copy settings link'}
+            </button>
+          </div>
+        </div>
+      )}
+    </div>
+  )
+}
+
+export default PresetsPanel
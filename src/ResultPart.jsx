@@ -0,0 +1,51 @@
+import { Download, Play, X } from 'lucide-react'
+import { formatTimestamp } from './core/timecode.js'
+
+// One finished output. Split parts show their first and last frame (or a
+// waveform) and the source range they cover; clicking the preview plays
+// the part inline so its boundaries can be checked before downloading.
+function ResultPart({ part, playing, onPlay }) {
+  const previews = part.previews || {}
+  const hasPreview = Boolean(previews.start || previews.end || previews.waveform)
+  const video = part.blob.type.startsWith('video/')
+
+  return (
+    <div className="result-part">
+      <div className="result-item">
+        {part.plan && (
+          <button
+            className="part-preview"
+            onClick={() => onPlay(playing ? null : part.url)}
+            title={playing ? 'Stop playback' : 'Play this part'}
+          >
+            {previews.start && <img src={previews.start} alt="First frame" />}
+            {previews.end && <img src={previews.end} alt="Last frame" />}
+            {previews.waveform && <img src={previews.waveform} alt="Waveform" className="part-waveform" />}
+            <span className={`part-preview-icon ${hasPreview ? 'over' : ''}`}>
+              {playing ? <X size={14} /> : <Play size={14} />}
+            </span>
+          </button>
+        )}
+        <span className="truncate flex-1 mr-4 text-sm">
+          <span className="block truncate font-medium">{part.name}</span>
+          {part.plan && (
+            <span className="block text-xs text-text-muted">
+              {formatTimestamp(part.start)} – {formatTimestamp(part.end)}
+            </span>
+          )}
+        </span>
+        <span className="text-xs text-text-muted mr-4 font-semibold">{(part.size / (1024 * 1024)).toFixed(2)} MB</span>
+        <a href={part.url} download={part.name} className="bg-primary text-white px-3 py-1.5 rounded-lg text-xs font-bold hover:bg-primary-hover transition-colors flex items-center gap-1">
+          <Download size={14} /> Download
+        </a>
+      </div>
+      {playing && (
+        video
+          ? <video className="part-player" src={part.url} controls autoPlay />
+          : <audio className="part-player" src={part.url} controls autoPlay />
+      )}
+    </div>
+  )
+}
+
+export default ResultPart
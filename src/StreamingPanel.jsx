@@ -0,0 +1,68 @@
+import NumberField from './NumberField.jsx'
+import { LADDER, streamSegmentType } from './core/streaming.js'
+
+// Settings for HLS/DASH output: the segment length (the `time` split
+// length), the HLS segment container and, when re-encoding, a ladder of
+// renditions behind a master playlist.
+function StreamingPanel({ format, segmentSeconds, onSegmentSecondsChange, settings, onSettingsChange, encoding, profile, disabled }) {
+  const reencoding = encoding === 'compatible'
+  const segmentType = streamSegmentType({ format, encoding, profile, ...settings, ladder: reencoding ? settings.ladder : [] })
+  const toggleRung = (height) => onSettingsChange({
+    ...settings,
+    ladder: settings.ladder.includes(height) ? settings.ladder.filter(h => h !== height) : [...settings.ladder, height].sort((a, b) => b - a),
+  })
+
+  return (
+    <div className="auto-fields mb-6">
+      <NumberField
+        label="Segment length"
+        unit="sec"
+        value={segmentSeconds}
+        step={1}
+        min={1}
+        onChange={value => onSegmentSecondsChange(Math.max(1, value))}
+        disabled={disabled}
+      />
+      {format === 'hls' && (
+        <label className="auto-field">
+          <span>Segments</span>
+          <select
+            value={segmentType}
+            onChange={e => onSettingsChange({ ...settings, segmentType: e.target.value })}
+            disabled={disabled || segmentType !== (settings.segmentType || 'ts')}
+          >
+            <option value="ts">MPEG-TS (.ts)</option>
+            <option value="fmp4">Fragmented MP4 (.m4s)</option>
+          </select>
+        </label>
+      )}
+      {reencoding && (
+        <div className="auto-field">
+          <span>Bitrate ladder</span>
+          <span className="flex flex-wrap gap-1">
+            {LADDER.map(rung => (
+              <button
+                key={rung.height}
+                className={`cut-action ${settings.ladder.includes(rung.height) ? 'active' : ''}`}
+                onClick={() => toggleRung(rung.height)}
+                disabled={disabled}
+                title={`${rung.videoBitrate} kbit/s video, ${rung.audioBitrate} kbit/s audio`}
+              >
+                {rung.height}p
+              </button>
+            ))}
+          </span>
+        </div>
+      )}
+      <p className="text-xs text-text-muted">
+        {!reencoding
+          ? 'Stream copy: segments start on the source keyframes, so their length varies.'
+          : settings.ladder.length > 0
+            ? `Every rendition is encoded as H.264/AAC, with a master playlist to switch between ${settings.ladder.length === 1 ? 'it' : 'them'}. The source needs an audio track.`
+            : 'Encoded with the selected profile. Pick ladder heights for adaptive bitrate.'}
+      </p>
+    </div>
+  )
+}
+
+export default StreamingPanel
@@ -0,0 +1,73 @@
+// Helpers for the Auto split mode: build the detection pass, read its events
+// back out of the FFmpeg log, and turn them into suggested cut points.
+
+export const buildAnalysisArgs = ({ silenceThreshold, minSilence, detectScenes, sceneThreshold }, input = 'input') => {
+  const args = ['-i', input, '-af', `silencedetect=noise=${silenceThreshold}dB:d=${minSilence}`]
+  if (detectScenes) {
+    // Scene scores barely change with resolution, so score a small copy
+    args.push('-vf', `scale=320:-2,scdet=threshold=${sceneThreshold}`)
+  } else {
+    args.push('-vn')
+  }
+  args.push('-f', 'null', '-')
+  return args
+}
+
+const SILENCE_START = /silence_start:\s*(-?[\d.]+)/
+const SILENCE_END = /silence_end:\s*([\d.]+)/
+const SCENE_CHANGE = /lavfi\.scd\.score:\s*([\d.]+),\s*lavfi\.scd\.time:\s*([\d.]+)/
+
+// Silences become a candidate at their midpoint; scene changes at the cut.
+export const parseDetectionLog = (lines, duration) => {
+  const events = []
+  let silenceStart = null
+
+  for (const line of lines) {
+    let match = line.match(SILENCE_START)
+    if (match) {
+      silenceStart = Math.max(0, parseFloat(match[1]))
+      continue
+    }
+    match = line.match(SILENCE_END)
+    if (match && silenceStart !== null) {
+      const end = parseFloat(match[1])
+      events.push({ time: (silenceStart + end) / 2, source: 'silence', length: end - silenceStart })
+      silenceStart = null
+      continue
+    }
+    match = line.match(SCENE_CHANGE)
+    if (match) events.push({ time: parseFloat(match[2]), source: 'scene', score: parseFloat(match[1]) })
+  }
+  // A silence still open at EOF runs to the end of the file
+  if (silenceStart !== null && duration > silenceStart) {
+    events.push({ time: (silenceStart + duration) / 2, source: 'silence', length: duration - silenceStart })
+  }
+  return events.filter(e => e.time > 0 && e.time < duration).sort((a, b) => a.time - b.time)
+}
+
+// Walks the timeline in steps of roughly `target` seconds and, for each step,
+// picks the detected event closest to the ideal cut within half a target
+// either side. Silences win ties over scene changes; when nothing was
+// detected in the window the cut falls back to the fixed position.
+export const suggestCuts = (events, duration, target) => {
+  const cuts = []
+  let position = 0
+
+  while (duration - position > target * 1.5) {
+    const ideal = position + target
+    let best = null
+    let bestScore = Infinity
+    for (const event of events) {
+      if (event.time <= position + target / 2 || event.time >= ideal + target / 2) continue
+      const score = Math.abs(event.time - ideal) * (event.source === 'silence' ? 1 : 1.5)
+      if (score < bestScore) {
+        best = event
+        bestScore = score
+      }
+    }
+    const cut = best ? { time: best.time, source: best.source } : { time: ideal, source: 'fixed' }
+    cuts.push(cut)
+    position = cut.time
+  }
+  return cuts
+}
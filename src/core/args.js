@@ -0,0 +1,39 @@
+// FFmpeg argument lists for a single output part.
+
+import { DEFAULT_PROFILE, extraStreamArgs, profileArgs } from './profiles.js'
+import { SIZE_HEADROOM } from './segments.js'
+
+// Rounds to the microsecond so float noise never reaches the command line.
+export const formatSeconds = (seconds) => String(Math.round(seconds * 1e6) / 1e6)
+
+/**
+ * @param {{ start: number, end: number, snapped?: boolean }} segment
+ * @param {string} outputName
+ * @param {{ encoding: 'fast' | 'compatible', capBytes?: number, profile?: object, fades?: object, allStreams?: boolean, metadata?: object }} options
+ *   `allStreams` keeps every stream instead of FFmpeg's pick of one video and one audio;
+ *   `metadata` ({ title, track }) is written into the part's container
+ * @param {string} [input] path of the source as FFmpeg sees it
+ */
+export const buildSegmentArgs = (segment, outputName, { encoding, capBytes = 0, profile = DEFAULT_PROFILE, fades, allStreams = false, metadata }, input = 'input') => {
+  const { start, end } = segment
+  const duration = end - start
+
+  // Nudge snapped seeks just past the keyframe so rounding in the probed
+  // pts never lands the demuxer on the previous one.
+  const seekStart = segment.snapped && start > 0 ? start + 0.0005 : start
+
+  const args = ['-ss', formatSeconds(seekStart), '-i', input, '-t', formatSeconds(duration)]
+  if (allStreams) args.push('-map', '0')
+
+  if (encoding === 'fast') {
+    // Stream copy mode: ultra-fast but may have seeking issues
+    args.push('-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart')
+  } else {
+    // Re-encode mode: slower but guarantees perfect seeking
+    args.push(...profileArgs(profile, { duration, capBytes, headroom: SIZE_HEADROOM, fades }))
+    if (allStreams) args.push(...extraStreamArgs(profile))
+  }
+  if (metadata) args.push('-metadata', `title=${metadata.title}`, '-metadata', `track=${metadata.track}`)
+  args.push(outputName)
+  return args
+}
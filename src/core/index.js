@@ -0,0 +1,17 @@
+export * from './analysis.js'
+export * from './args.js'
+export * from './join.js'
+export * from './manifest.js'
+export * from './memory.js'
+export * from './naming.js'
+export * from './plan.js'
+export * from './pool.js'
+export * from './preview.js'
+export * from './probe.js'
+export * from './profiles.js'
+export * from './progress.js'
+export * from './segments.js'
+export * from './settings.js'
+export * from './streaming.js'
+export * from './subtitles.js'
+export * from './timecode.js'
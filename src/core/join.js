@@ -0,0 +1,150 @@
+// Join mode: several files back into one. Files whose streams match are
+// stream-copied through the concat demuxer; anything else goes through the
+// concat filter and is re-encoded with a profile, after every input is
+// scaled, padded and resampled to a common format.
+
+import { splitFileName } from './naming.js'
+import { DEFAULT_PROFILE, hasVideo, profileArgs } from './profiles.js'
+
+const VIDEO_KEYS = [
+  ['codec', 'video codec'],
+  ['width', 'width'],
+  ['height', 'height'],
+  ['pixFmt', 'pixel format'],
+  ['timeBase', 'video time base'],
+]
+
+const AUDIO_KEYS = [
+  ['codec', 'audio codec'],
+  ['sampleRate', 'sample rate'],
+  ['channels', 'audio channels'],
+]
+
+const videoStreams = (info) => info.streams.filter(s => s.type === 'video' && !s.attachedPic)
+const audioStreams = (info) => info.streams.filter(s => s.type === 'audio')
+
+const compare = (problems, name, keys, first, other) => {
+  for (const [key, label] of keys) {
+    if (first[key] !== other[key]) problems.push(`${name}: ${label} ${other[key] || 'unknown'}, not ${first[key] || 'unknown'}`)
+  }
+}
+
+/**
+ * Whether `files` ({ name, info } with info from parseMediaInfo) can be
+ * joined by the concat demuxer without re-encoding: every file needs the
+ * same video and audio streams as the first, with the same parameters.
+ * @returns {{ compatible: boolean, problems: string[] }} one line per mismatch
+ */
+export const joinCompatibility = (files) => {
+  const problems = []
+  const [first, ...rest] = files
+  if (!first) return { compatible: false, problems }
+  const video = videoStreams(first.info)
+  const audio = audioStreams(first.info)
+
+  for (const { name, info } of rest) {
+    const otherVideo = videoStreams(info)
+    const otherAudio = audioStreams(info)
+    if (otherVideo.length !== video.length) problems.push(`${name}: ${otherVideo.length} video streams, not ${video.length}`)
+    else if (video.length > 0) compare(problems, name, VIDEO_KEYS, video[0], otherVideo[0])
+    if (otherAudio.length !== audio.length) problems.push(`${name}: ${otherAudio.length} audio streams, not ${audio.length}`)
+    else audio.forEach((stream, i) => compare(problems, name, AUDIO_KEYS, stream, otherAudio[i]))
+  }
+  return { compatible: problems.length === 0, problems }
+}
+
+/**
+ * One chapter per joined file, titled after it. `files` are
+ * { name, duration } in join order.
+ */
+export const joinChapters = (files) => {
+  let start = 0
+  return files.map(({ name, duration }) => {
+    const chapter = { start, end: start + duration, title: splitFileName(name).baseName }
+    start += duration
+    return chapter
+  })
+}
+
+// ffconcat script listing `paths` in order; quotes are escaped the shell way.
+export const concatList = (paths) => [
+  'ffconcat version 1.0',
+  ...paths.map(p => `file '${p.replace(/'/g, "'\\''")}'`),
+].join('\n') + '\n'
+
+export const joinOutputName = (firstName, ext) => `${splitFileName(firstName).baseName}_joined.${ext}`
+
+/**
+ * Lossless join through the concat demuxer reading `listPath` (see
+ * concatList). `metadataPath` adds the chapters of an FFMETADATA file.
+ */
+export const buildConcatArgs = (listPath, outputName, metadataPath) => {
+  const args = ['-f', 'concat', '-safe', '0', '-i', listPath]
+  if (metadataPath) args.push('-i', metadataPath, '-map_metadata', '1', '-map_chapters', '1')
+  args.push('-map', '0:V?', '-map', '0:a?', '-c', 'copy', '-movflags', '+faststart', outputName)
+  return args
+}
+
+const even = (n) => Math.max(2, Math.round(n / 2) * 2)
+
+// Output frame size: the profile's fixed size or height, or the first file's.
+const targetSize = (profile, first) => {
+  const fit = /^(\d+)x(\d+)$/.exec(profile.scale)
+  if (fit) return { width: Number(fit[1]), height: Number(fit[2]) }
+  if (/^\d+$/.test(profile.scale) && first.height > 0) {
+    const height = Number(profile.scale)
+    return { width: even((first.width * height) / first.height), height }
+  }
+  return { width: even(first.width || 1280), height: even(first.height || 720) }
+}
+
+/**
+ * Re-encoding join through the concat filter. `files` are
+ * { path, info } in join order. Every file is fitted into one frame size,
+ * frame rate and audio format first; a file without audio or video gets
+ * silence or black for its length, so the concat filter always sees
+ * matching segments. `metadataPath` adds chapters as in buildConcatArgs.
+ */
+export const buildConcatFilterArgs = (files, outputName, profile = DEFAULT_PROFILE, metadataPath) => {
+  const firstVideo = files.map(f => videoStreams(f.info)[0]).find(Boolean)
+  const withVideo = Boolean(firstVideo) && hasVideo(profile)
+  const withAudio = files.some(f => audioStreams(f.info).length > 0) && profile.audioCodec !== 'none'
+  const { width, height } = withVideo ? targetSize(profile, firstVideo) : {}
+  const fps = profile.fps || Math.round((firstVideo?.fps || 30) * 1000) / 1000
+
+  const args = files.flatMap(f => ['-i', f.path])
+  if (metadataPath) args.push('-i', metadataPath)
+
+  const filters = []
+  const links = []
+  files.forEach((f, i) => {
+    const duration = f.info.duration
+    if (withVideo) {
+      const video = videoStreams(f.info)[0]
+      const source = video ? `[${i}:${video.index}]` : `color=c=black:s=${width}x${height}:r=${fps}:d=${duration},`
+      filters.push(`${source}scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${width}:${height}:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=${fps},format=yuv420p[v${i}]`)
+      links.push(`[v${i}]`)
+    }
+    if (withAudio) {
+      const audio = audioStreams(f.info)[0]
+      const source = audio ? `[${i}:${audio.index}]` : `anullsrc=r=48000:cl=stereo,atrim=duration=${duration},`
+      filters.push(`${source}aresample=48000,aformat=sample_rates=48000:channel_layouts=stereo[a${i}]`)
+      links.push(`[a${i}]`)
+    }
+  })
+  const outputs = `${withVideo ? '[v]' : ''}${withAudio ? '[a]' : ''}`
+  filters.push(`${links.join('')}concat=n=${files.length}:v=${withVideo ? 1 : 0}:a=${withAudio ? 1 : 0}${outputs}`)
+  args.push('-filter_complex', filters.join(';'))
+  if (withVideo) args.push('-map', '[v]')
+  if (withAudio) args.push('-map', '[a]')
+
+  // The graph already scales and sets the frame rate
+  const duration = files.reduce((sum, f) => sum + f.info.duration, 0)
+  const codec = profileArgs(profile, { duration })
+  const vf = codec.indexOf('-vf')
+  if (vf >= 0) codec.splice(vf, 2)
+  args.push(...codec)
+  if (metadataPath) args.push('-map_metadata', String(files.length), '-map_chapters', String(files.length))
+  args.push(outputName)
+  return args
+}
@@ -0,0 +1,101 @@
+import { describe, it, expect } from 'vitest'
+import {
+  buildConcatArgs,
+  buildConcatFilterArgs,
+  concatList,
+  joinChapters,
+  joinCompatibility,
+  joinOutputName,
+} from './join.js'
+import { findProfile } from './profiles.js'
+
+const video = (overrides = {}) => ({ index: 0, type: 'video', codec: 'h264', width: 1920, height: 1080, pixFmt: 'yuv420p', timeBase: '1/15360', fps: 30, attachedPic: false, ...overrides })
+const audio = (overrides = {}) => ({ index: 1, type: 'audio', codec: 'aac', sampleRate: 48000, channels: 2, ...overrides })
+const info = (streams, duration = 60) => ({ duration, streams })
+
+const after = (args, flag) => args[args.indexOf(flag) + 1]
+
+describe('joinCompatibility', () => {
+  it('accepts files with matching streams', () => {
+    const files = [
+      { name: 'a.mp4', info: info([video(), audio()]) },
+      { name: 'b.mp4', info: info([video(), audio(), { index: 2, type: 'video', attachedPic: true }]) },
+    ]
+    expect(joinCompatibility(files)).toEqual({ compatible: true, problems: [] })
+  })
+
+  it('names every mismatch', () => {
+    const files = [
+      { name: 'a.mp4', info: info([video(), audio()]) },
+      { name: 'b.mp4', info: info([video({ codec: 'hevc', height: 720 }), audio({ sampleRate: 44100 })]) },
+      { name: 'c.mp4', info: info([video()]) },
+    ]
+    expect(joinCompatibility(files).problems).toEqual([
+      'b.mp4: video codec hevc, not h264',
+      'b.mp4: height 720, not 1080',
+      'b.mp4: sample rate 44100, not 48000',
+      'c.mp4: 0 audio streams, not 1',
+    ])
+  })
+})
+
+describe('joinChapters', () => {
+  it('starts a chapter at every join point', () => {
+    expect(joinChapters([{ name: 'intro.mp4', duration: 10 }, { name: 'main.part.mp4', duration: 50.5 }])).toEqual([
+      { start: 0, end: 10, title: 'intro' },
+      { start: 10, end: 60.5, title: 'main.part' },
+    ])
+  })
+})
+
+describe('concatList', () => {
+  it('quotes paths for the concat demuxer', () => {
+    expect(concatList(['/input/0.mp4', "/input/it's.mp4"])).toBe("ffconcat version 1.0\nfile '/input/0.mp4'\nfile '/input/it'\\''s.mp4'\n")
+  })
+})
+
+describe('buildConcatArgs', () => {
+  it('stream-copies the listed files and adds chapters', () => {
+    expect(buildConcatArgs('join.txt', 'a_joined.mp4', 'chapters.txt')).toEqual([
+      '-f', 'concat', '-safe', '0', '-i', 'join.txt',
+      '-i', 'chapters.txt', '-map_metadata', '1', '-map_chapters', '1',
+      '-map', '0:V?', '-map', '0:a?', '-c', 'copy', '-movflags', '+faststart', 'a_joined.mp4',
+    ])
+    expect(joinOutputName('lecture.part1.mkv', 'mkv')).toBe('lecture.part1_joined.mkv')
+  })
+})
+
+describe('buildConcatFilterArgs', () => {
+  it('fits every file into the first one\'s format and fills missing audio', () => {
+    const files = [
+      { path: 'a.mp4', info: info([video(), audio()], 10) },
+      { path: 'b.mov', info: info([video({ index: 1, width: 1280, height: 720, fps: 25 })], 5) },
+    ]
+    const args = buildConcatFilterArgs(files, 'a_joined.mp4', findProfile('h264'), 'chapters.txt')
+    expect(args.slice(0, 6)).toEqual(['-i', 'a.mp4', '-i', 'b.mov', '-i', 'chapters.txt'])
+    expect(after(args, '-filter_complex').split(';')).toEqual([
+      '[0:0]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v0]',
+      '[0:1]aresample=48000,aformat=sample_rates=48000:channel_layouts=stereo[a0]',
+      '[1:1]scale=1920:1080:force_original_aspect_ratio=decrease,pad=1920:1080:(ow-iw)/2:(oh-ih)/2,setsar=1,fps=30,format=yuv420p[v1]',
+      'anullsrc=r=48000:cl=stereo,atrim=duration=5,aresample=48000,aformat=sample_rates=48000:channel_layouts=stereo[a1]',
+      '[v0][a0][v1][a1]concat=n=2:v=1:a=1[v][a]',
+    ])
+    expect(after(args, '-map_chapters')).toBe('2')
+    expect(args[args.length - 1]).toBe('a_joined.mp4')
+  })
+
+  it('scales to the profile height and leaves the filter to the graph', () => {
+    const files = [{ path: 'a.mp4', info: info([video({ width: 1440, height: 1080 }), audio()]) }, { path: 'b.mp4', info: info([video(), audio()]) }]
+    const args = buildConcatFilterArgs(files, 'out.mp4', findProfile('h264-720p'))
+    expect(after(args, '-filter_complex')).toContain('scale=960:720:')
+    expect(args).not.toContain('-vf')
+    expect(after(args, '-c:v')).toBe('libx264')
+  })
+
+  it('joins audio only for audio profiles', () => {
+    const files = [{ path: 'a.mp4', info: info([video(), audio()]) }, { path: 'b.mp3', info: info([audio({ index: 0 })]) }]
+    const args = buildConcatFilterArgs(files, 'out.mp3', findProfile('mp3'))
+    expect(after(args, '-filter_complex')).toMatch(/\[a0\]\[a1\]concat=n=2:v=0:a=1\[a\]$/)
+    expect(args).toContain('-vn')
+  })
+})
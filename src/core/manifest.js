@@ -0,0 +1,244 @@
+// Records what a split produced — where every part came from in the source,
+// how big it came out and the settings it was made with — in formats other
+// tools read, and reads JSON and CSV manifests back as a plan for another file.
+
+import { DEFAULT_PROFILE, resolveProfile } from './profiles.js'
+import { normalizeSettings } from './settings.js'
+import { parseTimestamp } from './timecode.js'
+
+export const MANIFEST_VERSION = 1
+
+export const MANIFEST_FORMATS = [
+  { id: 'json', label: 'JSON', ext: 'json', type: 'application/json' },
+  { id: 'csv', label: 'CSV', ext: 'csv', type: 'text/csv' },
+  { id: 'cue', label: 'CUE sheet', ext: 'cue', type: 'application/x-cue' },
+  { id: 'edl', label: 'EDL (CMX3600)', ext: 'edl', type: 'text/plain' },
+  { id: 'chapters', label: 'FFmpeg chapters', ext: 'ffmeta', type: 'text/plain' },
+]
+
+const CSV_COLUMNS = ['index', 'name', 'start', 'end', 'duration', 'size', 'title', 'encoding', 'profile']
+
+const ms = (seconds) => Math.round(seconds * 1000) / 1000
+
+// The options that decide how parts are cut and encoded. Padding is kept for
+// the record even though the part times already include it.
+const manifestSettings = (options) => ({
+  mode: options.mode,
+  encoding: options.encoding,
+  profile: options.encoding === 'compatible' ? options.profile || DEFAULT_PROFILE : null,
+  overlap: options.overlap || 0,
+  preRoll: options.preRoll || 0,
+  postRoll: options.postRoll || 0,
+  fades: options.encoding === 'compatible' && options.fades ? options.fades : null,
+  naming: options.naming || '',
+  tagParts: Boolean(options.tagParts),
+  allStreams: Boolean(options.allStreams),
+})
+
+/**
+ * Manifest for the parts made from `input` with `options`. `parts` are the
+ * finished parts in order: { index, name, start, end, size, title? }, with
+ * the zero-based index they were described under.
+ */
+export const createManifest = (input, options, parts) => ({
+  version: MANIFEST_VERSION,
+  source: { name: input.name, duration: ms(input.duration), size: input.size },
+  settings: manifestSettings(options),
+  parts: parts.map(part => ({
+    index: part.index + 1,
+    name: part.name,
+    start: ms(part.start),
+    end: ms(part.end),
+    duration: ms(part.end - part.start),
+    size: part.size,
+    ...(part.title ? { title: part.title } : {}),
+  })),
+})
+
+const csvField = (value) => {
+  const text = value === null || value === undefined ? '' : String(value)
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text
+}
+
+const toCsv = ({ settings, parts }) => [
+  CSV_COLUMNS,
+  ...parts.map(p => [p.index, p.name, p.start, p.end, p.duration, p.size, p.title, settings.encoding, settings.profile?.id]),
+].map(row => row.map(csvField).join(',')).join('\r\n') + '\r\n'
+
+// CUE INDEX times are MM:SS:FF with 75 frames a second; minutes run past 99.
+const cueTime = (seconds) => {
+  const frames = Math.round(seconds * 75)
+  const m = Math.floor(frames / (75 * 60))
+  const s = Math.floor(frames / 75) % 60
+  return [m, s, frames % 75].map(n => String(n).padStart(2, '0')).join(':')
+}
+
+const cueFileType = (name) => {
+  const ext = name.split('.').pop().toLowerCase()
+  if (ext === 'mp3') return 'MP3'
+  if (ext === 'aif' || ext === 'aiff') return 'AIFF'
+  return 'WAVE'
+}
+
+const cueString = (text) => `"${String(text).replace(/"/g, "'")}"`
+
+// One track per part, indexed into the source file. CUE has no end times, so
+// gaps between parts are heard as part of the previous track.
+const toCue = ({ source, parts }) => [
+  `TITLE ${cueString(source.name.replace(/\.[^.]+$/, ''))}`,
+  `FILE ${cueString(source.name)} ${cueFileType(source.name)}`,
+  ...parts.flatMap((p, i) => [
+    `  TRACK ${String(i + 1).padStart(2, '0')} AUDIO`,
+    `    TITLE ${cueString(p.title || p.name.replace(/\.[^.]+$/, ''))}`,
+    `    INDEX 01 ${cueTime(p.start)}`,
+  ]),
+].join('\r\n') + '\r\n'
+
+// Non-drop-frame HH:MM:SS:FF at `fps`. Fractional rates like 29.97 count
+// frames at the rate but label them at the nearest whole one, as NDF does.
+const timecode = (seconds, fps) => {
+  const frames = Math.round(seconds * fps)
+  const base = Math.round(fps)
+  const h = Math.floor(frames / (base * 3600))
+  const m = Math.floor(frames / (base * 60)) % 60
+  const s = Math.floor(frames / base) % 60
+  return [h, m, s, frames % base].map(n => String(n).padStart(2, '0')).join(':')
+}
+
+// One cut event per part, laid end to end on the record side, with the part
+// name as the clip name so editors can relink the exported files.
+const toEdl = ({ source, parts }, fps) => {
+  const lines = [`TITLE: ${source.name.replace(/\.[^.]+$/, '')}`, 'FCM: NON-DROP FRAME', '']
+  let record = 0
+  parts.forEach((p, i) => {
+    const event = String(i + 1).padStart(3, '0')
+    lines.push(`${event}  ${'AX'.padEnd(8)} ${'AA/V'.padEnd(5)} C        ${timecode(p.start, fps)} ${timecode(p.end, fps)} ${timecode(record, fps)} ${timecode(record + p.duration, fps)}`)
+    lines.push(`* FROM CLIP NAME: ${source.name}`)
+    lines.push(`* TO CLIP NAME: ${p.name}`)
+    lines.push('')
+    record += p.duration
+  })
+  return lines.join('\r\n')
+}
+
+const metadataValue = (text) => String(text).replace(/[=;#\\\n]/g, c => `\\${c}`)
+
+/**
+ * An FFMETADATA file holding `chapters` ({ start, end, title } in seconds),
+ * for muxing in with -map_chapters.
+ */
+export const chapterMetadata = (chapters) => [
+  ';FFMETADATA1',
+  ...chapters.flatMap(c => [
+    '',
+    '[CHAPTER]',
+    'TIMEBASE=1/1000',
+    `START=${Math.round(c.start * 1000)}`,
+    `END=${Math.round(c.end * 1000)}`,
+    `title=${metadataValue(c.title)}`,
+  ]),
+].join('\n') + '\n'
+
+// Chapters over the source, named after the parts.
+const toChapters = ({ parts }) => chapterMetadata(parts.map(p => ({ ...p, title: p.title || p.name.replace(/\.[^.]+$/, '') })))
+
+/**
+ * The manifest as text in one of MANIFEST_FORMATS. `fps` is the source
+ * frame rate the EDL timecodes count frames at; 25 when it is unknown (0).
+ */
+export const formatManifest = (manifest, format, { fps = 0 } = {}) => {
+  if (format === 'json') return `${JSON.stringify(manifest, null, 2)}\n`
+  if (format === 'csv') return toCsv(manifest)
+  if (format === 'cue') return toCue(manifest)
+  if (format === 'edl') return toEdl(manifest, fps > 0 ? fps : 25)
+  if (format === 'chapters') return toChapters(manifest)
+  throw new Error(`Unknown manifest format '${format}'`)
+}
+
+// RFC 4180 rows: quoted fields may hold commas, doubled quotes and newlines.
+const parseCsv = (text) => {
+  const rows = []
+  let row = []
+  let field = ''
+  let quoted = false
+  for (let i = 0; i < text.length; i++) {
+    const c = text[i]
+    if (quoted) {
+      if (c === '"' && text[i + 1] === '"') {
+        field += '"'
+        i++
+      } else if (c === '"') {
+        quoted = false
+      } else {
+        field += c
+      }
+    } else if (c === '"') {
+      quoted = true
+    } else if (c === ',') {
+      row.push(field)
+      field = ''
+    } else if (c === '\n' || c === '\r') {
+      if (c === '\r' && text[i + 1] === '\n') i++
+      row.push(field)
+      rows.push(row)
+      row = []
+      field = ''
+    } else {
+      field += c
+    }
+  }
+  if (field || row.length > 0) rows.push([...row, field])
+  return rows.filter(r => r.some(f => f.trim()))
+}
+
+// Seconds, or a clock time like 1:02:03.5
+const readTime = (value) => (typeof value === 'number' ? value : parseTimestamp(String(value ?? '')))
+
+const readRanges = (parts) => parts.map((part, i) => {
+  const start = readTime(part.start)
+  const end = readTime(part.end)
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    throw new Error(`Part ${i + 1} needs a start before its end`)
+  }
+  return { start, end, ...(part.title ? { title: part.title } : {}) }
+})
+
+/**
+ * Reads a JSON or CSV manifest back into `{ ranges, settings }`: the part
+ * ranges to cut another file at, and whichever settings the manifest
+ * records (CSV only has the encoding and profile); settings that aren't
+ * valid are left out. Throws with a message
+ * fit for the user when the text is not a usable plan.
+ */
+export const parseManifest = (text) => {
+  const trimmed = text.replace(/^\uFEFF/, '').trim()
+  let parts
+  let settings = {}
+
+  if (trimmed.startsWith('{') || trimmed.startsWith('[')) {
+    let data
+    try {
+      data = JSON.parse(trimmed)
+    } catch (err) {
+      throw new Error(`The plan is not valid JSON: ${err.message}`)
+    }
+    parts = Array.isArray(data) ? data : data.parts
+    if (!Array.isArray(parts)) throw new Error('The plan has no list of parts')
+    if (data.settings) {
+      settings = normalizeSettings(data.settings)
+      // null fades record a split made without them
+      if (data.settings.fades === null) settings.fades = null
+    }
+  } else {
+    const [header, ...rows] = parseCsv(trimmed)
+    const columns = (header || []).map(h => h.trim().toLowerCase())
+    if (!columns.includes('start') || !columns.includes('end')) throw new Error('The CSV plan needs start and end columns')
+    parts = rows.map(row => Object.fromEntries(columns.map((c, i) => [c, row[i]?.trim()])))
+    const first = parts[0] || {}
+    if (first.encoding === 'fast' || first.encoding === 'compatible') settings.encoding = first.encoding
+    if (first.profile) settings.profile = resolveProfile(first.profile)
+  }
+
+  if (parts.length === 0) throw new Error('The plan has no parts')
+  return { ranges: readRanges(parts), settings }
+}
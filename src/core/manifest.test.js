@@ -0,0 +1,102 @@
+import { describe, it, expect } from 'vitest'
+import { createManifest, formatManifest, parseManifest } from './manifest.js'
+import { findProfile } from './profiles.js'
+
+const input = { name: 'talk.final.mp3', duration: 130.5, size: 2_000_000 }
+const options = { mode: 'time', time: 60, encoding: 'compatible', profile: findProfile('mp3'), preRoll: 1 }
+const manifest = createManifest(input, options, [
+  { index: 0, name: '1_talk.final_1.mp3', start: 0, end: 61, size: 980_000 },
+  { index: 1, name: '2_talk.final_2.mp3', start: 59, end: 121, size: 990_000, title: 'Q&A, "live"' },
+  { index: 2, name: '3_talk.final_3.mp3', start: 119, end: 130.5, size: 180_000 },
+])
+
+describe('createManifest', () => {
+  it('records every part with its duration, size and the settings used', () => {
+    expect(manifest.source).toEqual({ name: 'talk.final.mp3', duration: 130.5, size: 2_000_000 })
+    expect(manifest.settings).toMatchObject({ mode: 'time', encoding: 'compatible', preRoll: 1, fades: null })
+    expect(manifest.settings.profile.id).toBe('mp3')
+    expect(manifest.parts[1]).toEqual({
+      index: 2, name: '2_talk.final_2.mp3', start: 59, end: 121, duration: 62, size: 990_000, title: 'Q&A, "live"',
+    })
+  })
+})
+
+describe('formatManifest', () => {
+  it('quotes CSV fields that hold commas or quotes', () => {
+    const lines = formatManifest(manifest, 'csv').trim().split('\r\n')
+    expect(lines[0]).toBe('index,name,start,end,duration,size,title,encoding,profile')
+    expect(lines[2]).toBe('2,2_talk.final_2.mp3,59,121,62,990000,"Q&A, ""live""",compatible,mp3')
+  })
+
+  it('writes CUE tracks at each part start in 75ths of a second', () => {
+    const cue = formatManifest(manifest, 'cue')
+    expect(cue).toContain('FILE "talk.final.mp3" MP3')
+    expect(cue).toContain(`  TRACK 02 AUDIO\r\n    TITLE "Q&A, 'live'"\r\n    INDEX 01 00:59:00`)
+    expect(cue).toContain('INDEX 01 01:59:00')
+  })
+
+  it('lays EDL events end to end on the record side', () => {
+    const edl = formatManifest(manifest, 'edl', { fps: 25 })
+    expect(edl).toContain('002  AX       AA/V  C        00:00:59:00 00:02:01:00 00:01:01:00 00:02:03:00')
+    expect(edl).toContain('* TO CLIP NAME: 3_talk.final_3.mp3')
+    expect(formatManifest(manifest, 'edl')).toBe(edl)
+  })
+
+  it('counts EDL frames at the source frame rate', () => {
+    expect(formatManifest(manifest, 'edl', { fps: 60 })).toContain('00:00:59:00 00:02:01:00')
+    // 59 s at 29.97 fps is frame 1768, labelled at 30 frames a second
+    expect(formatManifest(manifest, 'edl', { fps: 30000 / 1001 })).toContain('002  AX       AA/V  C        00:00:58:28')
+  })
+
+  it('escapes FFmpeg metadata and counts chapters in milliseconds', () => {
+    const chapters = formatManifest(manifest, 'chapters')
+    expect(chapters.startsWith(';FFMETADATA1\n')).toBe(true)
+    expect(chapters).toContain('START=119000\nEND=130500\ntitle=3_talk.final_3')
+    expect(formatManifest(createManifest(input, options, [{ index: 0, name: 'a.mp3', start: 0, end: 1, size: 1, title: 'a=b;c' }]), 'chapters'))
+      .toContain('title=a\\=b\\;c')
+  })
+})
+
+describe('parseManifest', () => {
+  it('reads its own JSON back with the settings', () => {
+    const plan = parseManifest(formatManifest(manifest, 'json'))
+    expect(plan.ranges).toEqual([
+      { start: 0, end: 61 },
+      { start: 59, end: 121, title: 'Q&A, "live"' },
+      { start: 119, end: 130.5 },
+    ])
+    expect(plan.settings.profile.id).toBe('mp3')
+    expect(plan.settings.encoding).toBe('compatible')
+  })
+
+  it('reads its own CSV back, including quoted fields', () => {
+    const plan = parseManifest(formatManifest(manifest, 'csv'))
+    expect(plan.ranges[1]).toEqual({ start: 59, end: 121, title: 'Q&A, "live"' })
+    expect(plan.settings).toEqual({ encoding: 'compatible', profile: findProfile('mp3') })
+  })
+
+  it('leaves out settings that are not valid', () => {
+    const plan = parseManifest(JSON.stringify({
+      parts: [{ start: 0, end: 5 }],
+      settings: { naming: 5, fades: { audio: true, seconds: 'x' }, tagParts: 'yes', encoding: 'fast' },
+    }))
+    expect(plan.settings).toEqual({ fades: { audio: true, video: false, seconds: 1 }, encoding: 'fast' })
+    expect(parseManifest('{"parts": [{"start": 0, "end": 5}], "settings": "h264"}').settings).toEqual({})
+    const fast = createManifest(input, { ...options, encoding: 'fast' }, [])
+    expect(parseManifest(JSON.stringify({ ...fast, parts: [{ start: 0, end: 5 }] })).settings).toMatchObject({ fades: null, encoding: 'fast' })
+  })
+
+  it('accepts hand-written CSV with clock times', () => {
+    expect(parseManifest('Start,End\n0:00,1:30\n1:30,3:00.5\n').ranges).toEqual([
+      { start: 0, end: 90 },
+      { start: 90, end: 180.5 },
+    ])
+  })
+
+  it('rejects plans it cannot use', () => {
+    expect(() => parseManifest('{"parts": [}')).toThrow(/not valid JSON/)
+    expect(() => parseManifest('name,size\na,1')).toThrow(/start and end columns/)
+    expect(() => parseManifest('{"parts": [{"start": 5, "end": 2}]}')).toThrow(/Part 1/)
+    expect(() => parseManifest('[]')).toThrow(/no parts/)
+  })
+})
@@ -0,0 +1,71 @@
+// Rough peak-memory model for a split job, used to warn before starting one
+// the browser tab is unlikely to survive.
+
+const MB = 1024 * 1024
+const GB = 1024 * MB
+
+// wasm32 builds of the FFmpeg core cannot grow their heap past this
+export const WASM_HEAP_LIMIT = 2 * GB
+
+// Core module, codec state and demux/encode buffers
+const CORE_OVERHEAD = 128 * MB
+
+const formatBytes = (bytes) => (bytes >= GB ? `${(bytes / GB).toFixed(1)} GB` : `${Math.round(bytes / MB)} MB`)
+
+/**
+ * Estimates memory for running `plan`. Part sizes follow the source bitrate
+ * (capped by the plan's size limit), which is close for stream copy and an
+ * upper bound for most re-encodes.
+ * @param {{ segments: { start: number, end: number }[], capBytes: number, input: { duration: number, size: number } }} plan
+ * @param {{ mounted: boolean }} options `mounted` when the source is read in place rather than copied into the FS
+ * @returns {{ wasm: number, total: number }} peak bytes inside the wasm heap, and overall
+ */
+export const estimatePeakMemory = (plan, { mounted }) => {
+  const { segments, capBytes, input } = plan
+  const bytesPerSecond = input.duration > 0 ? input.size / input.duration : 0
+  const partBytes = segments.map(s => {
+    const bytes = (s.end - s.start) * bytesPerSecond
+    return capBytes ? Math.min(bytes, capBytes) : bytes
+  })
+  const largest = Math.max(0, ...partBytes)
+  const outputs = partBytes.reduce((sum, bytes) => sum + bytes, 0)
+
+  // A copied source sits in the FS for the whole job, next to the JS buffer it came from
+  const copied = mounted ? 0 : input.size
+  // Only one finished part is in the FS at a time; it is read out and deleted
+  const wasm = CORE_OVERHEAD + copied + largest
+  // Finished parts stay around as Blobs for download
+  return { wasm, total: wasm + copied + largest + outputs }
+}
+
+// Assumed when the browser doesn't report navigator.deviceMemory
+const ASSUMED_DEVICE_MEMORY_GB = 4
+
+/**
+ * How many FFmpeg instances can run `plan` side by side. Every instance has
+ * a heap like estimatePeakMemory's `wasm`, while the finished parts pile up
+ * as Blobs however many run, so only what is left beside them is shared out
+ * within half the device memory. Inputs are mounted, never copied per
+ * instance.
+ * @returns {number} at least 1
+ */
+export const parallelLimit = (plan, deviceMemoryGB) => {
+  const { wasm, total } = estimatePeakMemory(plan, { mounted: true })
+  const budget = (deviceMemoryGB || ASSUMED_DEVICE_MEMORY_GB) * GB * 0.5 - (total - wasm)
+  return Math.max(1, Math.floor(budget / wasm))
+}
+
+/**
+ * Turns an estimate into a warning. `deviceMemoryGB` is navigator.deviceMemory,
+ * which browsers round down and cap at 8.
+ * @returns {string} the warning, or '' when the job should fit
+ */
+export const memoryWarning = (estimate, deviceMemoryGB) => {
+  if (estimate.wasm > WASM_HEAP_LIMIT) {
+    return `The largest part needs about ${formatBytes(estimate.wasm)} of FFmpeg memory, over the browser's ${formatBytes(WASM_HEAP_LIMIT)} limit. Split into more or smaller parts.`
+  }
+  if (deviceMemoryGB && deviceMemoryGB < 8 && estimate.total > deviceMemoryGB * GB * 0.5) {
+    return `This job may use about ${formatBytes(estimate.total)} on a device with ${deviceMemoryGB} GB of memory, so the tab could crash. Try more parts or a smaller profile.`
+  }
+  return ''
+}
@@ -0,0 +1,44 @@
+import { describe, it, expect } from 'vitest'
+import { estimatePeakMemory, memoryWarning, parallelLimit, WASM_HEAP_LIMIT } from './memory.js'
+
+const GB = 1024 * 1024 * 1024
+const input = { duration: 1000, size: 4 * GB }
+const halves = [{ start: 0, end: 500 }, { start: 500, end: 1000 }]
+
+describe('estimatePeakMemory', () => {
+  it('leaves a mounted source out of the wasm heap', () => {
+    const mounted = estimatePeakMemory({ segments: halves, capBytes: 0, input }, { mounted: true })
+    const copied = estimatePeakMemory({ segments: halves, capBytes: 0, input }, { mounted: false })
+    expect(copied.wasm - mounted.wasm).toBe(4 * GB)
+  })
+
+  it('sizes the heap by the largest part and honours the size cap', () => {
+    const capped = estimatePeakMemory({ segments: halves, capBytes: GB / 4, input }, { mounted: true })
+    const uncapped = estimatePeakMemory({ segments: halves, capBytes: 0, input }, { mounted: true })
+    expect(uncapped.wasm - capped.wasm).toBe(2 * GB - GB / 4)
+  })
+})
+
+describe('parallelLimit', () => {
+  it('shares out what the finished parts leave of half the device memory', () => {
+    const MB = 1024 * 1024
+    const tenths = Array.from({ length: 10 }, (_, i) => ({ start: i * 100, end: (i + 1) * 100 }))
+    const plan = { segments: tenths, capBytes: 0, input: { duration: 1000, size: 1000 * MB } }
+    // 228 MB per instance next to 1100 MB of parts
+    expect(parallelLimit(plan, 8)).toBe(13)
+    expect(parallelLimit(plan, undefined)).toBe(4)
+    expect(parallelLimit(plan, 2)).toBe(1)
+  })
+})
+
+describe('memoryWarning', () => {
+  it('flags parts that cannot fit the wasm heap', () => {
+    expect(memoryWarning({ wasm: WASM_HEAP_LIMIT + 1, total: 0 })).toMatch(/limit/)
+  })
+
+  it('flags jobs too big for a low-memory device', () => {
+    expect(memoryWarning({ wasm: GB / 2, total: 3 * GB }, 4)).toMatch(/4 GB/)
+    expect(memoryWarning({ wasm: GB / 2, total: 3 * GB }, 8)).toBe('')
+    expect(memoryWarning({ wasm: GB / 2, total: GB }, 4)).toBe('')
+  })
+})
@@ -0,0 +1,96 @@
+// Output file naming.
+
+// Splits at the last dot, so `talk.v2.final.mp4` keeps `talk.v2.final`.
+export const splitFileName = (fileName) => {
+  const dot = fileName.lastIndexOf('.')
+  if (dot <= 0) return { baseName: fileName, ext: '' }
+  return { baseName: fileName.slice(0, dot), ext: fileName.slice(dot + 1) }
+}
+
+// The historical part name, `1_lecture_1.mp4`
+export const DEFAULT_NAMING = '{index}_{name}_{index}.{ext}'
+
+// `00-01-30`: a clock that is safe in file names
+const fileClock = (seconds) => {
+  const total = Math.floor(seconds)
+  return [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60].map(n => String(n).padStart(2, '0')).join('-')
+}
+
+// `ext` replaces the source extension when the part is re-encoded into
+// another container.
+export const partName = (fileName, index, ext) => renderName(DEFAULT_NAMING, { fileName, index, total: index + 1, start: 0, end: 0, ext })
+
+const TOKEN = /\{(\w+)(?::(0\d+))?\}/g
+
+/**
+ * Why `template` can't name the parts, or '' when it can. Without {index}
+ * parts could get the same name and overwrite each other; {start} alone is
+ * not enough, as it is rounded to whole seconds. The empty template stands
+ * for DEFAULT_NAMING and is always fine.
+ */
+export const namingProblem = (template) => {
+  if (!template) return ''
+  const keys = Array.from(template.matchAll(TOKEN), match => match[1])
+  return keys.includes('index') ? '' : 'The template needs {index} so that each part gets its own name'
+}
+
+/**
+ * Renders a naming template for one part. Tokens: {name} (source name
+ * without extension), {index}, {total}, {start}, {end}, {title} (chapter
+ * title) and {ext}. Numbers take a zero-padded width, as in {index:03}.
+ * Unknown tokens are left as typed; the extension is appended when the
+ * template doesn't end with it.
+ * @param {string} template
+ * @param {{ fileName: string, index: number, total: number, start: number, end: number, ext?: string, title?: string }} part
+ *   `index` is zero-based; `ext` replaces the source extension when re-encoding
+ */
+export const renderName = (template, { fileName, index, total, start, end, ext, title = '' }) => {
+  const source = splitFileName(fileName)
+  // Letters and digits only, so the extension can't reach outside the name
+  const extension = (ext || source.ext).replace(/[^a-z0-9]/gi, '')
+  const values = {
+    name: source.baseName,
+    index: index + 1,
+    total,
+    start: fileClock(start),
+    end: fileClock(end),
+    title,
+    ext: extension,
+  }
+  const rendered = (template || DEFAULT_NAMING).replace(TOKEN, (token, key, width) => {
+    if (!(key in values)) return token
+    const value = String(values[key])
+    return width && typeof values[key] === 'number' ? value.padStart(Number(width), '0') : value
+  })
+  const name = safeFileName(rendered) || source.baseName
+  return !extension || name.toLowerCase().endsWith(`.${extension.toLowerCase()}`) ? name : `${name}.${extension}`
+}
+
+// Turns free text (a chapter title, a source name) into a file name that
+// every OS accepts.
+export const safeFileName = (title) => Array.from(title, ch => (ch < ' ' || '<>:"/\\|?*'.includes(ch) ? '_' : ch))
+  .join('')
+  .replace(/[. ]+$/, '')
+  .trim()
+
+// One file name per title, with ` (2)`, ` (3)`... appended to repeats.
+export const titledNames = (titles, ext) => {
+  const used = new Set()
+  return titles.map(title => {
+    const base = safeFileName(title) || 'Chapter'
+    let name = base
+    for (let n = 2; used.has(name.toLowerCase()); n++) name = `${base} (${n})`
+    used.add(name.toLowerCase())
+    return `${name}.${ext}`
+  })
+}
+
+// Name of a sidecar subtitle for one part: `movie.en.srt` next to
+// `movie.mkv` becomes `1_movie_1.en.srt`; other names are kept whole as the
+// suffix (`1_movie_1.subs.srt`) so several sidecars never collide.
+export const sidecarName = (partFile, mediaName, subtitleName) => {
+  const part = splitFileName(partFile).baseName
+  const media = splitFileName(mediaName).baseName
+  const suffix = subtitleName.startsWith(`${media}.`) ? subtitleName.slice(media.length) : `.${subtitleName}`
+  return `${part}${suffix}`
+}
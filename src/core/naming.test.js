@@ -0,0 +1,29 @@
+import { describe, it, expect } from 'vitest'
+import { createSplitPlan } from './plan.js'
+import { namingProblem, renderName } from './naming.js'
+
+describe('namingProblem', () => {
+  it('rejects a template that names every part the same', () => {
+    const input = { name: 'talk.mp4', duration: 90, size: 30 * 1024 * 1024 }
+    const plan = createSplitPlan(input, { mode: 'parts', parts: 3, encoding: 'compatible', naming: '{name}_{total}' })
+    expect(new Set(plan.segments.map(s => s.name)).size).toBe(1)
+    expect(namingProblem('{name}_{total}')).toMatch(/needs \{index\}/)
+    expect(namingProblem('{title}.{ext}')).not.toBe('')
+    expect(namingProblem('{index')).not.toBe('')
+    expect(namingProblem('{name} from {start}')).not.toBe('')
+  })
+
+  it('accepts templates that tell the parts apart', () => {
+    expect(namingProblem('')).toBe('')
+    expect(namingProblem('{name}_{index:03}')).toBe('')
+    expect(namingProblem('{start}_{index}')).toBe('')
+  })
+})
+
+describe('renderName', () => {
+  it('keeps the extension file system safe', () => {
+    const part = { fileName: 'talk.mp4', index: 0, total: 2, start: 0, end: 5 }
+    expect(renderName('{name}_{index}', { ...part, ext: '../../x' })).toBe('talk_1.x')
+    expect(renderName('{name}_{index}', { ...part, ext: '..' })).toBe('talk_1')
+  })
+})
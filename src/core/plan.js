@@ -0,0 +1,150 @@
+// Turns an input description and the user's split options into a
+// deterministic list of output parts, each with its exact FFmpeg argv.
+// Nothing here touches the DOM or FFmpeg itself, so the browser and the
+// command line produce identical plans.
+
+import { buildSegmentArgs } from './args.js'
+import { renderName, splitFileName, titledNames } from './naming.js'
+import { DEFAULT_PROFILE, mimeTypeFor } from './profiles.js'
+import {
+  SIZE_HEADROOM,
+  applyOverlap,
+  clampRanges,
+  limitSegmentDuration,
+  padSegments,
+  planEvenSegments,
+  planSegmentsBySize,
+  snapSegments,
+} from './segments.js'
+
+/**
+ * @typedef {object} SplitInput
+ * @property {string} name file name, used for output naming
+ * @property {string} [path] where FFmpeg reads the file; defaults to the wasm FS `input`
+ * @property {number} duration seconds
+ * @property {number} size bytes
+ * @property {number[] | null} [keyframes] from parseKeyframes
+ * @property {{ time: number, size: number, key: boolean }[]} [packets] from parsePackets
+ * @property {{ start: number, end: number, title: string, selected?: boolean }[]} [chapters]
+ */
+
+/**
+ * @typedef {object} SplitOptions
+ * @property {'parts' | 'size' | 'time' | 'custom' | 'auto' | 'chapters'} mode
+ * @property {number} parts part count for 'parts'
+ * @property {number} size MB per part for 'size'
+ * @property {number} time seconds per part for 'time'
+ * @property {'fast' | 'compatible'} encoding
+ * @property {import('./profiles.js').EncodingProfile} [profile] re-encode settings for 'compatible'
+ * @property {number} [overlap] seconds each part repeats of the previous one
+ * @property {number} [preRoll] seconds added before every part
+ * @property {number} [postRoll] seconds added after every part
+ * @property {{ audio: boolean, video: boolean, seconds: number }} [fades] fade in and out at
+ *   every part boundary; 'compatible' only, since stream copy can't filter
+ * @property {string} [naming] output name template, see renderName; empty for the default
+ * @property {boolean} [tagParts] write "Part 3 of 12" titles and track numbers into each part
+ * @property {boolean} [allStreams] keep every stream (extra audio tracks, subtitles, attachments)
+ * @property {boolean} [snapKeyframes] snap 'fast' boundaries to keyframes
+ * @property {boolean} [strictSize] never let a 'size' part exceed the limit
+ * @property {{ start: number, end: number }[]} [ranges] explicit ranges for 'custom' and 'auto'
+ */
+
+const MB = 1024 * 1024
+
+const profileFor = (options) => (options.encoding === 'compatible' ? options.profile || DEFAULT_PROFILE : null)
+
+// Tightest of the strict size limit and the profile's platform limit.
+export const capBytesFor = (options) => {
+  const caps = []
+  if (options.mode === 'size' && options.strictSize) caps.push(options.size * MB)
+  const maxSizeMB = profileFor(options)?.maxSizeMB
+  if (maxSizeMB) caps.push(maxSizeMB * MB)
+  return caps.length > 0 ? Math.min(...caps) : 0
+}
+
+// Extension of every output part: the profile's container when re-encoding.
+export const outputExtension = (input, options) => profileFor(options)?.container || splitFileName(input.name).ext
+
+// MIME type for the output Blobs, falling back to the source type.
+export const outputMimeType = (input, options, sourceType = '') => {
+  if (!profileFor(options)) return sourceType
+  return mimeTypeFor(outputExtension(input, options), sourceType)
+}
+
+/**
+ * Name and argv for the part at `index` of `total`. Plan segments can be
+ * described again under a new index, which is how re-split parts get
+ * renumbered. Chapter parts keep their titled names unless a naming
+ * template is set.
+ */
+export const describeSegment = (segment, index, input, options, total = index + 1) => {
+  const name = segment.fileName && !options.naming
+    ? segment.fileName
+    : renderName(options.naming, { fileName: input.name, index, total, start: segment.start, end: segment.end, ext: outputExtension(input, options), title: segment.title })
+  const profile = profileFor(options)
+  const encoding = {
+    encoding: options.encoding,
+    capBytes: capBytesFor(options),
+    profile: profile || undefined,
+    fades: profile ? options.fades : undefined,
+    allStreams: options.allStreams,
+    metadata: options.tagParts ? { title: segment.title || `Part ${index + 1} of ${total}`, track: `${index + 1}/${total}` } : undefined,
+  }
+  return {
+    ...segment,
+    index,
+    total,
+    duration: segment.end - segment.start,
+    name,
+    args: buildSegmentArgs(segment, name, encoding, input.path),
+  }
+}
+
+/**
+ * @param {SplitInput} input
+ * @param {SplitOptions} options
+ * @returns {{ segments: object[], cutPoints: number[] | null, capBytes: number }}
+ *   `cutPoints` are where an oversized part may be re-split.
+ */
+export const createSplitPlan = (input, options) => {
+  const { duration } = input
+  const capBytes = capBytesFor(options)
+  let segments
+  let cutPoints = null
+
+  if (options.mode === 'custom' || options.mode === 'auto') {
+    segments = clampRanges(options.ranges || [], duration)
+  } else if (options.mode === 'chapters') {
+    const chapters = (input.chapters || []).filter(c => c.selected !== false)
+    const names = titledNames(chapters.map(c => c.title), outputExtension(input, options))
+    segments = clampRanges(chapters.map((c, i) => ({ start: c.start, end: c.end, fileName: names[i], title: c.title })), duration)
+  } else {
+    segments = planEvenSegments({
+      duration,
+      fileSize: input.size,
+      mode: options.mode,
+      parts: options.parts,
+      size: options.size,
+      time: options.time,
+    })
+    if (capBytes && options.encoding === 'fast' && input.packets?.length > 0) {
+      segments = planSegmentsBySize(input.packets, duration, capBytes * SIZE_HEADROOM)
+      cutPoints = input.packets.filter(p => p.key).map(p => p.time)
+    } else if (options.encoding === 'fast' && options.snapKeyframes && input.keyframes) {
+      segments = snapSegments(segments, input.keyframes)
+      cutPoints = input.keyframes
+    }
+  }
+
+  // Leave room for the padding added below, so padded parts still fit
+  const maxDuration = profileFor(options)?.maxDuration
+  const padding = (options.overlap || 0) + (options.preRoll || 0) + (options.postRoll || 0)
+  segments = limitSegmentDuration(segments, maxDuration && Math.max(1, maxDuration - padding))
+  segments = applyOverlap(segments, options.overlap)
+  segments = padSegments(segments, options, duration)
+  return {
+    segments: segments.map((segment, i) => describeSegment(segment, i, input, options, segments.length)),
+    cutPoints,
+    capBytes,
+  }
+}
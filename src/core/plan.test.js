@@ -0,0 +1,161 @@
+import { describe, it, expect } from 'vitest'
+import { createSplitPlan, describeSegment } from './plan.js'
+import { buildSegmentArgs, formatSeconds } from './args.js'
+import { partName, renderName, titledNames } from './naming.js'
+import { DEFAULT_PROFILE } from './profiles.js'
+
+const input = { name: 'lecture.mp4', duration: 100, size: 50 * 1024 * 1024 }
+const options = { mode: 'parts', parts: 3, size: 10, time: 60, encoding: 'compatible' }
+
+describe('createSplitPlan', () => {
+  it('is deterministic', () => {
+    expect(createSplitPlan(input, options)).toEqual(createSplitPlan(input, options))
+  })
+
+  it('names and numbers every part', () => {
+    const { segments } = createSplitPlan(input, options)
+    expect(segments.map(s => s.name)).toEqual(['1_lecture_1.mp4', '2_lecture_2.mp4', '3_lecture_3.mp4'])
+    expect(segments.map(s => s.index)).toEqual([0, 1, 2])
+  })
+
+  it('keeps float noise out of the argv', () => {
+    const { segments } = createSplitPlan(input, options)
+    expect(segments[1].args.slice(0, 6)).toEqual(['-ss', '33.333333', '-i', 'input', '-t', '33.333333'])
+    expect(segments[2].args[5]).toBe('33.333333')
+  })
+
+  it('snaps fast-mode boundaries when keyframes are known', () => {
+    const plan = createSplitPlan(
+      { ...input, keyframes: [0, 30, 70] },
+      { ...options, encoding: 'fast', snapKeyframes: true }
+    )
+    expect(plan.segments.map(s => [s.start, s.end])).toEqual([[0, 30], [30, 70], [70, 100]])
+    expect(plan.segments[1].args.slice(0, 2)).toEqual(['-ss', '30.0005'])
+    expect(plan.cutPoints).toEqual([0, 30, 70])
+  })
+
+  it('ignores keyframes in compatible mode', () => {
+    const plan = createSplitPlan({ ...input, keyframes: [0, 30, 70] }, { ...options, snapKeyframes: true })
+    expect(plan.segments[1].start).toBeCloseTo(33.333, 3)
+  })
+
+  it('uses packet sizes for a strict size cap in fast mode', () => {
+    const packets = Array.from({ length: 100 }, (_, t) => ({ time: t, size: 200 * 1024, key: t % 10 === 0 }))
+    const plan = createSplitPlan({ ...input, packets }, { ...options, mode: 'size', size: 5, encoding: 'fast', strictSize: true })
+    expect(plan.capBytes).toBe(5 * 1024 * 1024)
+    expect(plan.segments.map(s => s.start)).toEqual([0, 20, 40, 60, 80])
+  })
+
+  it('caps the bitrate of a strict compatible encode', () => {
+    const plan = createSplitPlan(input, { ...options, mode: 'size', size: 25, strictSize: true })
+    expect(plan.segments).toHaveLength(2)
+    expect(plan.segments[0].args).toContain('-maxrate')
+  })
+
+  it('exports explicit ranges for custom mode', () => {
+    const plan = createSplitPlan(input, { ...options, mode: 'custom', ranges: [{ start: 10, end: 20 }, { start: 50, end: 200 }] })
+    expect(plan.segments.map(s => [s.start, s.end])).toEqual([[10, 20], [50, 100]])
+  })
+
+  it('names chapter parts after their titles', () => {
+    const chapters = [
+      { start: 0, end: 40, title: 'Intro' },
+      { start: 40, end: 70, title: 'Intro', selected: true },
+      { start: 70, end: 100, title: 'Q&A / wrap-up', selected: false },
+    ]
+    const plan = createSplitPlan({ ...input, chapters }, { ...options, mode: 'chapters' })
+    expect(plan.segments.map(s => s.name)).toEqual(['Intro.mp4', 'Intro (2).mp4'])
+  })
+
+  it('applies overlap to every part after the first', () => {
+    const plan = createSplitPlan(input, { ...options, overlap: 5 })
+    expect(plan.segments.map(s => Math.round(s.start))).toEqual([0, 28, 62])
+  })
+
+  it('pads every part within the file bounds', () => {
+    const plan = createSplitPlan(input, { ...options, preRoll: 2, postRoll: 3 })
+    expect(plan.segments.map(s => [Math.round(s.start), Math.round(s.end)])).toEqual([[0, 36], [31, 70], [65, 100]])
+  })
+
+  it('keeps padded parts within a platform duration limit', () => {
+    const profile = { ...DEFAULT_PROFILE, maxDuration: 30 }
+    const plan = createSplitPlan(input, { ...options, parts: 2, profile, overlap: 2, preRoll: 1, postRoll: 1 })
+    expect(Math.max(...plan.segments.map(s => s.duration))).toBeLessThanOrEqual(30)
+  })
+
+  it('adds fades when re-encoding only', () => {
+    const fades = { audio: true, video: true, seconds: 1 }
+    const [first] = createSplitPlan(input, { ...options, fades }).segments
+    expect(first.args).toContain('fade=t=in:st=0:d=1,fade=t=out:st=32.333:d=1')
+    expect(first.args).toContain('afade=t=in:st=0:d=1,afade=t=out:st=32.333:d=1')
+    const [copied] = createSplitPlan(input, { ...options, encoding: 'fast', fades }).segments
+    expect(copied.args.join(' ')).not.toMatch(/fade/)
+  })
+})
+
+describe('describeSegment', () => {
+  it('renumbers a segment under a new index', () => {
+    const { segments } = createSplitPlan(input, options)
+    const moved = describeSegment(segments[1], 4, input, options)
+    expect(moved.name).toBe('5_lecture_5.mp4')
+    expect(moved.args[moved.args.length - 1]).toBe('5_lecture_5.mp4')
+  })
+})
+
+describe('naming templates', () => {
+  const part = { fileName: 'lecture.v2.mp4', index: 2, total: 12, start: 90, end: 3725.5 }
+
+  it('fills in every token', () => {
+    expect(renderName('{name} - {index:03} of {total} [{start} to {end}].{ext}', part))
+      .toBe('lecture.v2 - 003 of 12 [00-01-30 to 01-02-05].mp4')
+  })
+
+  it('appends the extension and leaves unknown tokens alone', () => {
+    expect(renderName('{name}_{index:02}', part)).toBe('lecture.v2_03.mp4')
+    expect(renderName('{nope}_{index}', { ...part, ext: 'mkv' })).toBe('{nope}_3.mkv')
+  })
+
+  it('keeps names file system safe', () => {
+    expect(renderName('{title}: {index}', { ...part, title: 'Q&A / wrap-up' })).toBe('Q&A _ wrap-up_ 3.mp4')
+  })
+
+  it('applies to a whole plan, chapters included', () => {
+    const plan = createSplitPlan(input, { ...options, naming: '{name} ({index} of {total})' })
+    expect(plan.segments.map(s => s.name)).toEqual(['lecture (1 of 3).mp4', 'lecture (2 of 3).mp4', 'lecture (3 of 3).mp4'])
+    const chapters = [{ start: 0, end: 50, title: 'Intro' }, { start: 50, end: 100, title: 'Outro' }]
+    const titled = createSplitPlan({ ...input, chapters }, { ...options, mode: 'chapters', naming: '{index:02} {title}' })
+    expect(titled.segments.map(s => s.name)).toEqual(['01 Intro.mp4', '02 Outro.mp4'])
+  })
+
+  it('tags parts with a title and track number', () => {
+    const [, second] = createSplitPlan(input, { ...options, tagParts: true }).segments
+    expect(second.args.slice(-5)).toEqual(['-metadata', 'title=Part 2 of 3', '-metadata', 'track=2/3', '2_lecture_2.mp4'])
+  })
+})
+
+describe('helpers', () => {
+  it('builds stream-copy args', () => {
+    expect(buildSegmentArgs({ start: 0, end: 10 }, 'out.mp4', { encoding: 'fast' })).toEqual([
+      '-ss', '0', '-i', 'input', '-t', '10',
+      '-c', 'copy', '-avoid_negative_ts', 'make_zero', '-movflags', '+faststart',
+      'out.mp4',
+    ])
+  })
+
+  it('formats seconds to the microsecond', () => {
+    expect(formatSeconds(0.1 + 0.2)).toBe('0.3')
+  })
+
+  it('keeps the historical part names', () => {
+    expect(partName('talk.final.mkv', 0)).toBe('1_talk.final_1.mkv')
+  })
+
+  it('cuts the extension at the last dot only', () => {
+    expect(partName('clip.mp4.old.mp4', 0)).toBe('1_clip.mp4.old_1.mp4')
+    expect(partName('README', 0, 'mp4')).toBe('1_README_1.mp4')
+  })
+
+  it('makes chapter titles safe and unique', () => {
+    expect(titledNames(['A/B', 'a/b', ''], 'mkv')).toEqual(['A_B.mkv', 'a_b (2).mkv', 'Chapter.mkv'])
+  })
+})
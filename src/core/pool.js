@@ -0,0 +1,73 @@
+// Parallel splitting: several FFmpeg instances, each reading the same
+// mounted input, take parts from one shared queue. How many run is capped
+// by the CPU, by the memory model and by the plan itself.
+
+import { parallelLimit } from './memory.js'
+
+export const MAX_WORKERS = 8
+
+// Each instance is already multi-threaded where the build allows, so half
+// the reported cores (at most 4) keeps the machine responsive.
+export const autoWorkers = (cores) => Math.max(1, Math.min(4, Math.floor((cores || 1) / 2)))
+
+/**
+ * Instances to split `plan` with. `requested` is 'auto' or a count.
+ * Plans with a size cap run one part at a time: an oversized part is halved
+ * and every later part renumbered, which parts already running elsewhere
+ * would miss.
+ * @returns {{ count: number, reason: '' | 'memory' | 'size' }} `reason` says
+ *   why fewer than requested will run, when it isn't just the part count
+ */
+export const planWorkers = (plan, { requested, cores, deviceMemoryGB }) => {
+  const wanted = Math.min(requested === 'auto' ? autoWorkers(cores) : requested, plan.segments.length)
+  if (wanted <= 1) return { count: 1, reason: '' }
+  if (plan.capBytes) return { count: 1, reason: 'size' }
+  const count = Math.min(wanted, parallelLimit(plan, deviceMemoryGB))
+  return { count, reason: count < wanted ? 'memory' : '' }
+}
+
+// What the wasm runtime throws when an instance's heap can't grow
+const OUT_OF_MEMORY = /out of memory|Cannot enlarge memory|memory access out of bounds|Aborted\(OOM\)/i
+
+export const isOutOfMemory = (error) => OUT_OF_MEMORY.test(String(error?.message || error))
+
+// Returned by a pool task to hand its item back and stop that worker
+export const RETIRE = Symbol('retire')
+
+/**
+ * Runs `task(item, index, { worker, running })` over `items` with `workers`
+ * loops pulling from one shared queue, so a free worker always takes the
+ * next item. `running()` is the number of loops still going. A task returns
+ * the item's result, or RETIRE to put the item back for the others and end
+ * its own loop; when it was the last loop standing, the items handed back
+ * run again on its worker, so none is dropped. Results come back in item
+ * order, whichever finished first.
+ */
+export const runPool = async (items, workers, task) => {
+  const results = new Array(items.length)
+  const handedBack = []
+  let next = 0
+  let running = workers
+  const take = () => {
+    if (handedBack.length > 0) return handedBack.shift()
+    return next < items.length ? next++ : -1
+  }
+
+  const loop = async (worker) => {
+    for (let i = take(); i >= 0; i = take()) {
+      const result = await task(items[i], i, { worker, running: () => running })
+      if (result === RETIRE) {
+        handedBack.unshift(i)
+        if (running > 1) {
+          running--
+          return
+        }
+        continue
+      }
+      results[i] = result
+    }
+    running--
+  }
+  await Promise.all(Array.from({ length: workers }, (_, worker) => loop(worker)))
+  return results
+}
@@ -0,0 +1,77 @@
+import { describe, it, expect } from 'vitest'
+import { autoWorkers, isOutOfMemory, planWorkers, RETIRE, runPool } from './pool.js'
+
+const MB = 1024 * 1024
+const tenths = Array.from({ length: 10 }, (_, i) => ({ start: i * 100, end: (i + 1) * 100 }))
+const plan = { segments: tenths, capBytes: 0, input: { duration: 1000, size: 1000 * MB } }
+const wait = (ms) => new Promise(resolve => setTimeout(resolve, ms))
+
+describe('planWorkers', () => {
+  it('uses half the cores when set to auto', () => {
+    expect(autoWorkers(16)).toBe(4)
+    expect(autoWorkers(4)).toBe(2)
+    expect(autoWorkers(undefined)).toBe(1)
+    expect(planWorkers(plan, { requested: 'auto', cores: 6, deviceMemoryGB: 8 })).toEqual({ count: 3, reason: '' })
+  })
+
+  it('never runs more instances than parts', () => {
+    expect(planWorkers({ ...plan, segments: tenths.slice(0, 2) }, { requested: 6, cores: 8, deviceMemoryGB: 8 })).toEqual({ count: 2, reason: '' })
+  })
+
+  it('cuts back when memory is short', () => {
+    expect(planWorkers(plan, { requested: 8, cores: 8, deviceMemoryGB: 4 })).toEqual({ count: 4, reason: 'memory' })
+  })
+
+  it('runs size-capped plans one part at a time', () => {
+    expect(planWorkers({ ...plan, capBytes: 50 * MB }, { requested: 4, cores: 8, deviceMemoryGB: 8 })).toEqual({ count: 1, reason: 'size' })
+  })
+})
+
+describe('isOutOfMemory', () => {
+  it('recognises the wasm heap running out', () => {
+    expect(isOutOfMemory(new RangeError('WebAssembly.Memory.grow(): Out of memory'))).toBe(true)
+    expect(isOutOfMemory(new Error('Aborted(OOM)'))).toBe(true)
+    expect(isOutOfMemory(new Error('Invalid data found when processing input'))).toBe(false)
+  })
+})
+
+describe('runPool', () => {
+  it('returns results in item order whichever finishes first', async () => {
+    const started = []
+    const results = await runPool([30, 5, 10, 1], 2, async (ms, i, { worker }) => {
+      started.push([i, worker])
+      await wait(ms)
+      return `part ${i}`
+    })
+    expect(results).toEqual(['part 0', 'part 1', 'part 2', 'part 3'])
+    expect(started.slice(0, 2)).toEqual([[0, 0], [1, 1]])
+    // Worker 1 finished part 1 first, so it takes part 2 while part 0 runs
+    expect(started[2]).toEqual([2, 1])
+  })
+
+  it('lets a retiring worker hand its item to the rest', async () => {
+    const ran = []
+    const results = await runPool(['a', 'b', 'c'], 2, async (item, i, { worker, running }) => {
+      await wait(worker === 0 ? 1 : 5)
+      if (worker === 0 && running() > 1) return RETIRE
+      ran.push([item, worker])
+      return item.toUpperCase()
+    })
+    expect(results).toEqual(['A', 'B', 'C'])
+    expect(ran.every(([, worker]) => worker === 1)).toBe(true)
+  })
+
+  it('runs a late retiree\'s item once the other loops have exited', async () => {
+    let retired = false
+    const results = await runPool(['a', 'b'], 2, async (item, i, { worker }) => {
+      await wait(worker === 1 ? 10 : 1)
+      // Worker 0 has finished and left by the time worker 1 gives up
+      if (worker === 1 && !retired) {
+        retired = true
+        return RETIRE
+      }
+      return [item]
+    })
+    expect(results).toEqual([['a'], ['b']])
+  })
+})
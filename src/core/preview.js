@@ -0,0 +1,54 @@
+// Poster frames and waveforms for finished parts. They are rendered from the
+// part file itself rather than the source, so they show where a cut really
+// landed (a stream-copied part starts on a keyframe, not the planned time).
+
+import { DEFAULT_PROFILE, hasVideo } from './profiles.js'
+
+export const POSTER_WIDTH = 160
+export const WAVEFORM_SIZE = { width: 320, height: 48 }
+export const WAVEFORM_COLOR = '#4f46e5'
+
+/**
+ * What a part made with `options` can show: 'video' when it keeps a
+ * picture, 'audio' when it only has sound, '' when it has neither. `info`
+ * is the source, from parseMediaInfo.
+ */
+export const previewKind = (info, options) => {
+  const profile = options.encoding === 'compatible' ? options.profile || DEFAULT_PROFILE : null
+  const picture = info.streams.some(s => s.type === 'video' && !s.attachedPic) && (!profile || hasVideo(profile))
+  const sound = info.streams.some(s => s.type === 'audio') && (!profile || profile.audioCodec !== 'none')
+  if (picture) return 'video'
+  return sound ? 'audio' : ''
+}
+
+/**
+ * One FFmpeg pass per image for a part at `input`, each writing a file
+ * named after `prefix`. Video parts get their first and last frame; the
+ * last is found by seeking a second before the end and keeping the final
+ * decoded frame. Audio parts get one waveform of the whole part.
+ * @returns {{ key: 'start' | 'end' | 'waveform', name: string, type: string, args: string[] }[]}
+ */
+export const previewPasses = (input, kind, prefix = 'preview') => {
+  const scale = `scale=${POSTER_WIDTH}:-2`
+  if (kind === 'video') {
+    return [
+      { key: 'start', name: `${prefix}_start.jpg`, args: ['-i', input, '-map', '0:V:0', '-frames:v', '1', '-vf', scale, '-q:v', '5'] },
+      { key: 'end', name: `${prefix}_end.jpg`, args: ['-sseof', '-1', '-i', input, '-map', '0:V:0', '-vf', scale, '-q:v', '5', '-update', '1'] },
+    ].map(pass => ({ ...pass, type: 'image/jpeg', args: ['-v', 'error', ...pass.args, '-y', pass.name] }))
+  }
+  if (kind === 'audio') {
+    const { width, height } = WAVEFORM_SIZE
+    const name = `${prefix}_waveform.png`
+    return [{
+      key: 'waveform',
+      name,
+      type: 'image/png',
+      args: [
+        '-v', 'error', '-i', input,
+        '-filter_complex', `[0:a:0]aformat=channel_layouts=mono,showwavespic=s=${width}x${height}:colors=${WAVEFORM_COLOR}`,
+        '-frames:v', '1', '-y', name,
+      ],
+    }]
+  }
+  return []
+}
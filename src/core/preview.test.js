@@ -0,0 +1,38 @@
+import { describe, it, expect } from 'vitest'
+import { previewKind, previewPasses } from './preview.js'
+import { findProfile } from './profiles.js'
+
+const video = { index: 0, type: 'video', codec: 'h264', attachedPic: false }
+const cover = { index: 2, type: 'video', codec: 'mjpeg', attachedPic: true }
+const audio = { index: 1, type: 'audio', codec: 'aac' }
+
+describe('previewKind', () => {
+  it('follows what the part keeps of the source', () => {
+    expect(previewKind({ streams: [video, audio] }, { encoding: 'fast' })).toBe('video')
+    expect(previewKind({ streams: [audio, cover] }, { encoding: 'fast' })).toBe('audio')
+    expect(previewKind({ streams: [video, audio] }, { encoding: 'compatible', profile: findProfile('mp3') })).toBe('audio')
+    expect(previewKind({ streams: [video, audio] }, { encoding: 'compatible' })).toBe('video')
+    expect(previewKind({ streams: [] }, { encoding: 'fast' })).toBe('')
+  })
+})
+
+describe('previewPasses', () => {
+  it('grabs the first and last frame of a video part', () => {
+    const [start, end] = previewPasses('clip_part1.mp4', 'video', 'p1')
+    expect(start).toEqual({
+      key: 'start',
+      name: 'p1_start.jpg',
+      type: 'image/jpeg',
+      args: ['-v', 'error', '-i', 'clip_part1.mp4', '-map', '0:V:0', '-frames:v', '1', '-vf', 'scale=160:-2', '-q:v', '5', '-y', 'p1_start.jpg'],
+    })
+    expect(end.args.slice(0, 5)).toEqual(['-v', 'error', '-sseof', '-1', '-i'])
+    expect(end.args.slice(-4)).toEqual(['-update', '1', '-y', 'p1_end.jpg'])
+  })
+
+  it('draws one waveform for an audio part', () => {
+    const passes = previewPasses('talk_part2.mp3', 'audio')
+    expect(passes.map(p => p.name)).toEqual(['preview_waveform.png'])
+    expect(passes[0].args).toContain('[0:a:0]aformat=channel_layouts=mono,showwavespic=s=320x48:colors=#4f46e5')
+    expect(previewPasses('x.srt', '')).toEqual([])
+  })
+})
@@ -0,0 +1,140 @@
+// ffprobe invocations and parsers for their output. The argument lists leave
+// out the output target so the browser (`-o file` in the wasm FS) and Node
+// (stdout) can both run them.
+
+// Packet scan of the first video stream; packets are not decoded, so this is
+// quick even on long inputs.
+export const keyframeProbeArgs = (input) => [
+  '-v', 'error',
+  '-select_streams', 'v:0',
+  '-show_entries', 'packet=pts_time,flags',
+  '-of', 'csv=print_section=0',
+  input,
+]
+
+// Sorted keyframe times, or null when the input has no video.
+export const parseKeyframes = (text) => {
+  const keyframes = []
+  for (const line of text.split('\n')) {
+    const [pts, flags] = line.trim().split(',')
+    if (!flags || !flags.startsWith('K')) continue
+    const time = parseFloat(pts)
+    if (Number.isFinite(time)) keyframes.push(time)
+  }
+  if (keyframes.length === 0) return null
+  return keyframes.sort((a, b) => a - b)
+}
+
+export const packetProbeArgs = (input) => [
+  '-v', 'error',
+  '-show_entries', 'packet=codec_type,pts_time,size,flags',
+  '-of', 'csv=print_section=0',
+  input,
+]
+
+// Timestamp and byte size of every packet in the input, sorted by time.
+// `key` marks the places a stream-copied part may start: video keyframes, or
+// every packet when the file has no video.
+export const parsePackets = (text) => {
+  const packets = []
+  for (const line of text.split('\n')) {
+    const [type, pts, size, flags = ''] = line.trim().split(',')
+    const time = parseFloat(pts)
+    const bytes = parseInt(size, 10)
+    if (!Number.isFinite(time) || !Number.isFinite(bytes)) continue
+    packets.push({ type, time, size: bytes, key: type === 'video' && flags.startsWith('K') })
+  }
+  if (!packets.some(p => p.type === 'video')) packets.forEach(p => { p.key = true })
+  return packets.sort((a, b) => a.time - b.time)
+}
+
+// Chapter table from the container, via ffprobe's JSON writer.
+export const chapterProbeArgs = (input) => ['-v', 'error', '-show_chapters', '-of', 'json', input]
+
+export const parseChapters = (text) => {
+  const { chapters = [] } = JSON.parse(text)
+  return chapters
+    .map((c, i) => ({
+      start: parseFloat(c.start_time),
+      end: parseFloat(c.end_time),
+      title: c.tags?.title?.trim() || `Chapter ${i + 1}`,
+    }))
+    .filter(c => Number.isFinite(c.start) && c.end > c.start)
+}
+
+// Container and per-stream details, via ffprobe's JSON writer.
+export const mediaProbeArgs = (input) => ['-v', 'error', '-show_format', '-show_streams', '-of', 'json', input]
+
+const parseRate = (rate) => {
+  const [num, den] = String(rate || '').split('/').map(Number)
+  return num > 0 && den > 0 ? num / den : 0
+}
+
+const parseNumber = (value) => {
+  const number = parseFloat(value)
+  return Number.isFinite(number) ? number : 0
+}
+
+/**
+ * Media details from mediaProbeArgs. Numbers ffprobe leaves out come back
+ * as 0 and strings as ''. `attachedPic` marks cover art, which ffprobe
+ * lists as a video stream.
+ */
+export const parseMediaInfo = (text) => {
+  const { format = {}, streams = [] } = JSON.parse(text)
+  return {
+    container: format.format_name || '',
+    duration: parseNumber(format.duration),
+    size: parseNumber(format.size),
+    bitrate: parseNumber(format.bit_rate),
+    streams: streams.map(s => ({
+      index: s.index,
+      type: s.codec_type || '',
+      codec: s.codec_name || '',
+      profile: s.profile || '',
+      width: s.width || 0,
+      height: s.height || 0,
+      pixFmt: s.pix_fmt || '',
+      fps: parseRate(s.avg_frame_rate) || parseRate(s.r_frame_rate),
+      sampleRate: parseNumber(s.sample_rate),
+      channels: s.channels || 0,
+      channelLayout: s.channel_layout || '',
+      bitrate: parseNumber(s.bit_rate),
+      language: s.tags?.language || '',
+      timeBase: s.time_base || '',
+      attachedPic: s.disposition?.attached_pic === 1,
+    })),
+  }
+}
+
+// Frame rate of the first video stream that isn't cover art; 0 without one
+export const videoFrameRate = (info) => info.streams.find(s => s.type === 'video' && !s.attachedPic)?.fps || 0
+
+/**
+ * Why a probed file can't be split, or '' when it can.
+ */
+export const mediaInfoError = (info) => {
+  if (!info.streams.some(s => (s.type === 'video' && !s.attachedPic) || s.type === 'audio')) return 'The file has no audio or video streams'
+  if (!(info.duration > 0) || !Number.isFinite(info.duration)) return "The file doesn't report a duration, so it can't be split"
+  return ''
+}
+
+// Containers whose stream copies tend to come out broken: ffprobe's
+// format_name, then the reason.
+const FAST_MODE_CAVEATS = [
+  ['avi', 'AVI has no reliable timestamps for stream copy, so parts may report the wrong length or fail to seek.'],
+  ['flv', 'FLV parts cut by stream copy often keep the full file\'s duration in their header and seek badly.'],
+  ['asf', 'WMV/ASF parts cut by stream copy often keep the full file\'s index and play badly.'],
+  ['mpeg', 'MPEG program streams can\'t be cut cleanly by stream copy; parts may start with a broken picture.'],
+  ['mpegts', 'MPEG-TS parts keep the source timestamps, so some players show the wrong length or start time.'],
+]
+
+/**
+ * A warning when Fast (stream copy) mode is a poor fit for the probed
+ * container, or '' when it should work.
+ */
+export const fastModeWarning = (info) => {
+  const formats = info.container.split(',')
+  const caveat = FAST_MODE_CAVEATS.find(([format]) => formats.includes(format))
+  return caveat ? `${caveat[1]} Compatible mode re-encodes the parts cleanly.` : ''
+}
@@ -0,0 +1,43 @@
+import { describe, it, expect } from 'vitest'
+import { fastModeWarning, mediaInfoError, parseMediaInfo, videoFrameRate } from './probe.js'
+
+describe('parseMediaInfo', () => {
+  it('reads the container and every stream, with defaults for missing fields', () => {
+    const info = parseMediaInfo(JSON.stringify({
+      format: { format_name: 'mov,mp4,m4a,3gp,3g2,mj2', duration: '61.500000', size: '1048576', bit_rate: '136400' },
+      streams: [
+        { index: 0, codec_type: 'video', codec_name: 'h264', profile: 'High', width: 1920, height: 1080, pix_fmt: 'yuv420p', avg_frame_rate: '30000/1001', time_base: '1/30000' },
+        { index: 1, codec_type: 'audio', codec_name: 'aac', sample_rate: '48000', channels: 2, channel_layout: 'stereo', tags: { language: 'eng' } },
+        { index: 2, codec_type: 'video', codec_name: 'mjpeg', avg_frame_rate: '0/0', r_frame_rate: '90000/1', disposition: { attached_pic: 1 } },
+      ],
+    }))
+    expect(info).toMatchObject({ container: 'mov,mp4,m4a,3gp,3g2,mj2', duration: 61.5, size: 1048576, bitrate: 136400 })
+    expect(info.streams[0]).toMatchObject({ type: 'video', codec: 'h264', width: 1920, pixFmt: 'yuv420p', timeBase: '1/30000', attachedPic: false })
+    expect(info.streams[0].fps).toBeCloseTo(29.97, 2)
+    expect(info.streams[1]).toMatchObject({ type: 'audio', sampleRate: 48000, channels: 2, language: 'eng', bitrate: 0, width: 0 })
+    expect(info.streams[2]).toMatchObject({ fps: 90000, attachedPic: true })
+  })
+
+  it('finds the video frame rate, leaving out cover art', () => {
+    const cover = { type: 'video', fps: 90000, attachedPic: true }
+    expect(videoFrameRate({ streams: [cover, { type: 'video', fps: 23.976, attachedPic: false }] })).toBe(23.976)
+    expect(videoFrameRate({ streams: [{ type: 'audio', fps: 0 }, cover] })).toBe(0)
+  })
+})
+
+describe('mediaInfoError and fastModeWarning', () => {
+  const audio = { type: 'audio', attachedPic: false }
+
+  it('rejects files without media streams or a duration', () => {
+    expect(mediaInfoError({ duration: 10, streams: [audio] })).toBe('')
+    expect(mediaInfoError({ duration: 10, streams: [{ type: 'video', attachedPic: true }] })).toMatch(/no audio or video/)
+    expect(mediaInfoError({ duration: 0, streams: [audio] })).toMatch(/duration/)
+  })
+
+  it('warns about containers stream copy handles badly', () => {
+    expect(fastModeWarning({ container: 'avi' })).toMatch(/^AVI .* Compatible mode/)
+    expect(fastModeWarning({ container: 'mpegts' })).toMatch(/timestamps/)
+    expect(fastModeWarning({ container: 'mov,mp4,m4a,3gp,3g2,mj2' })).toBe('')
+    expect(fastModeWarning({ container: 'matroska,webm' })).toBe('')
+  })
+})
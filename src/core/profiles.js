@@ -0,0 +1,192 @@
+// Encoding profiles for the re-encode ("compatible") path. A profile decides
+// the codecs, quality settings and container of every part; stream copy
+// ("fast") always keeps the source streams and container.
+
+/**
+ * @typedef {object} EncodingProfile
+ * @property {string} id
+ * @property {string} label
+ * @property {string} container output extension: mp4, mkv, webm, mp3, m4a or opus
+ * @property {string} videoCodec libx264, libx265, libvpx-vp9 or 'none' to drop video
+ * @property {'crf' | 'bitrate'} rateControl
+ * @property {number} crf
+ * @property {number} videoBitrate kbit/s, used with rateControl 'bitrate'
+ * @property {string} scale '' for source size, a height like '720', or 'WxH' to fit and pad
+ * @property {number} fps 0 keeps the source frame rate
+ * @property {string} audioCodec aac, libopus, libmp3lame or 'none' to drop audio
+ * @property {number} audioBitrate kbit/s
+ * @property {number} [maxDuration] seconds; longer parts are split further
+ * @property {number} [maxSizeMB] hard size cap for every part
+ */
+
+const H264 = {
+  container: 'mp4',
+  videoCodec: 'libx264',
+  rateControl: 'crf',
+  crf: 18,
+  videoBitrate: 2500,
+  scale: '',
+  fps: 0,
+  audioCodec: 'aac',
+  audioBitrate: 192,
+}
+
+const AUDIO_ONLY = { ...H264, videoCodec: 'none' }
+
+/** @type {EncodingProfile[]} */
+export const PROFILES = [
+  { id: 'h264', label: 'MP4 · H.264 (original size)', ...H264 },
+  { id: 'h264-1080p', label: 'MP4 · H.264 1080p', ...H264, crf: 20, scale: '1080' },
+  { id: 'h264-720p', label: 'MP4 · H.264 720p', ...H264, crf: 23, scale: '720', audioBitrate: 128 },
+  { id: 'h264-480p', label: 'MP4 · H.264 480p (small)', ...H264, crf: 26, scale: '480', audioBitrate: 96 },
+  { id: 'webm-vp9', label: 'WebM · VP9 + Opus', ...H264, container: 'webm', videoCodec: 'libvpx-vp9', crf: 32, audioCodec: 'libopus', audioBitrate: 128 },
+  { id: 'mp3', label: 'Audio only · MP3', ...AUDIO_ONLY, container: 'mp3', audioCodec: 'libmp3lame', audioBitrate: 192 },
+  { id: 'm4a', label: 'Audio only · M4A (AAC)', ...AUDIO_ONLY, container: 'm4a', audioCodec: 'aac', audioBitrate: 192 },
+  { id: 'opus', label: 'Audio only · Opus', ...AUDIO_ONLY, container: 'opus', audioCodec: 'libopus', audioBitrate: 96 },
+  { id: 'whatsapp-status', label: 'WhatsApp status (30 s, 16 MB, 720p)', ...H264, crf: 23, scale: '720', audioBitrate: 128, maxDuration: 30, maxSizeMB: 16 },
+  { id: 'instagram-story', label: 'Instagram story (60 s, 1080×1920)', ...H264, crf: 21, scale: '1080x1920', fps: 30, audioBitrate: 128, maxDuration: 60, maxSizeMB: 100 },
+]
+
+export const DEFAULT_PROFILE = PROFILES[0]
+
+export const findProfile = (id) => PROFILES.find(p => p.id === id)
+
+// Choices offered by the advanced panel
+export const CONTAINERS = ['mp4', 'mkv', 'webm', 'mp3', 'm4a', 'opus']
+export const VIDEO_CODECS = ['libx264', 'libx265', 'libvpx-vp9', 'none']
+export const AUDIO_CODECS = ['aac', 'libopus', 'libmp3lame', 'none']
+
+const oneOf = (choices) => (value) => (choices.includes(value) ? value : undefined)
+const within = (min, max) => (value) => (typeof value === 'number' && Number.isFinite(value) ? Math.min(max, Math.max(min, value)) : undefined)
+const text = (value) => (typeof value === 'string' ? value : undefined)
+
+// How each field of a saved profile is read: choices must be among the
+// offered ones and numbers are clamped to what the encoders take, since the
+// values end up in part names and FFmpeg arguments.
+const PROFILE_FIELDS = {
+  id: text,
+  label: text,
+  container: oneOf(CONTAINERS),
+  videoCodec: oneOf(VIDEO_CODECS),
+  rateControl: oneOf(['crf', 'bitrate']),
+  crf: (value) => {
+    const crf = within(0, 63)(value)
+    return crf === undefined ? undefined : Math.round(crf)
+  },
+  videoBitrate: within(100, 100000),
+  scale: (value) => (typeof value === 'string' && /^(\d{1,4}(x\d{1,4})?)?$/.test(value) ? value : undefined),
+  fps: within(0, 120),
+  audioCodec: oneOf(AUDIO_CODECS),
+  audioBitrate: within(32, 1024),
+  maxDuration: within(1, Infinity),
+  maxSizeMB: within(1, Infinity),
+}
+
+// A profile as saved elsewhere (a manifest, a preset, a link): an id, or a
+// full profile that may be a custom one. Fields that are missing or not
+// valid fall back to the preset it names, or the default.
+export const resolveProfile = (profile) => {
+  if (!profile) return null
+  if (typeof profile === 'string') return findProfile(profile) || null
+  if (typeof profile !== 'object') return null
+  const resolved = { ...(findProfile(profile.id) || DEFAULT_PROFILE) }
+  for (const [key, read] of Object.entries(PROFILE_FIELDS)) {
+    const value = read(profile[key])
+    if (value !== undefined) resolved[key] = value
+  }
+  return resolved
+}
+
+const AUDIO_CONTAINERS = new Set(['mp3', 'm4a', 'opus'])
+
+const MIME_TYPES = {
+  mp4: 'video/mp4',
+  mkv: 'video/x-matroska',
+  webm: 'video/webm',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  opus: 'audio/ogg',
+}
+
+export const hasVideo = (profile) => profile.videoCodec !== 'none' && !AUDIO_CONTAINERS.has(profile.container)
+
+export const mimeTypeFor = (ext, fallback = '') => MIME_TYPES[ext.toLowerCase()] || fallback
+
+const scaleFilter = (scale) => {
+  const fit = /^(\d+)x(\d+)$/.exec(scale)
+  if (fit) {
+    const [, w, h] = fit
+    return `scale=${w}:${h}:force_original_aspect_ratio=decrease,pad=${w}:${h}:(ow-iw)/2:(oh-ih)/2`
+  }
+  if (/^\d+$/.test(scale)) return `scale=-2:${scale}`
+  return ''
+}
+
+// Fade in at the start and out at the end of a part of `duration` seconds,
+// with each fade at most half the part.
+const fadeFilters = (filter, seconds, duration) => {
+  const d = Math.min(seconds, duration / 2)
+  if (!(d > 0)) return []
+  const fadeOut = Math.round((duration - d) * 1000) / 1000
+  return [`${filter}=t=in:st=0:d=${d}`, `${filter}=t=out:st=${fadeOut}:d=${d}`]
+}
+
+/**
+ * Codecs for the streams `-map 0` carries along besides video and audio:
+ * subtitles are converted to what the container takes, attachments (fonts)
+ * only survive in Matroska, and data streams are dropped.
+ */
+export const extraStreamArgs = (profile) => {
+  if (profile.container === 'mkv') return ['-c:s', 'copy', '-c:t', 'copy', '-dn']
+  if (AUDIO_CONTAINERS.has(profile.container)) return ['-sn', '-dn', '-map', '-0:t?']
+  const subtitles = profile.container === 'webm' ? 'webvtt' : 'mov_text'
+  return ['-c:s', subtitles, '-dn', '-map', '-0:t?']
+}
+
+/**
+ * Codec arguments for one part encoded with `profile`. `capBytes` caps the
+ * video bitrate so a part of `duration` seconds stays under the size limit;
+ * `fades` adds audio and/or video fades at both ends of the part.
+ */
+export const profileArgs = (profile, { duration, capBytes = 0, headroom = 1, fades }) => {
+  const args = []
+  const video = hasVideo(profile)
+  const audioBitrate = profile.audioCodec === 'none' ? 0 : profile.audioBitrate
+
+  if (video) {
+    args.push('-c:v', profile.videoCodec)
+    if (profile.videoCodec === 'libx264' || profile.videoCodec === 'libx265') args.push('-preset', 'fast')
+    if (profile.rateControl === 'bitrate') {
+      args.push('-b:v', `${profile.videoBitrate}k`)
+    } else {
+      args.push('-crf', String(profile.crf))
+      // VP9 only treats -crf as constant quality with a zero target bitrate
+      if (profile.videoCodec === 'libvpx-vp9') args.push('-b:v', '0')
+    }
+    const filters = [scaleFilter(profile.scale), profile.fps > 0 ? `fps=${profile.fps}` : ''].filter(Boolean)
+    if (fades?.video) filters.push(...fadeFilters('fade', fades.seconds, duration))
+    if (filters.length > 0) args.push('-vf', filters.join(','))
+  } else {
+    args.push('-vn')
+  }
+
+  if (profile.audioCodec === 'none') {
+    args.push('-an')
+  } else {
+    args.push('-c:a', profile.audioCodec, '-b:a', `${audioBitrate}k`)
+    if (fades?.audio) {
+      const filters = fadeFilters('afade', fades.seconds, duration)
+      if (filters.length > 0) args.push('-af', filters.join(','))
+    }
+  }
+
+  if (profile.container === 'mp4' || profile.container === 'm4a') args.push('-movflags', '+faststart')
+  args.push('-avoid_negative_ts', 'make_zero')
+
+  if (capBytes && video) {
+    // Cap the encode so the part can't outgrow the size limit
+    const maxrate = Math.floor((capBytes * headroom * 8) / duration / 1000) - audioBitrate
+    if (maxrate > 0) args.push('-maxrate', `${maxrate}k`, '-bufsize', `${maxrate * 2}k`)
+  }
+  return args
+}
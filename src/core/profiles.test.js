@@ -0,0 +1,123 @@
+import { describe, it, expect } from 'vitest'
+import { DEFAULT_PROFILE, findProfile, mimeTypeFor, profileArgs, resolveProfile } from './profiles.js'
+import { createSplitPlan, outputMimeType } from './plan.js'
+
+const input = { name: 'clip.mov', duration: 95, size: 40 * 1024 * 1024 }
+const options = { mode: 'parts', parts: 2, size: 10, time: 60, encoding: 'compatible' }
+
+describe('profileArgs', () => {
+  it('keeps the historical H.264 arguments for the default profile', () => {
+    expect(profileArgs(DEFAULT_PROFILE, { duration: 10 })).toEqual([
+      '-c:v', 'libx264', '-preset', 'fast', '-crf', '18',
+      '-c:a', 'aac', '-b:a', '192k',
+      '-movflags', '+faststart', '-avoid_negative_ts', 'make_zero',
+    ])
+  })
+
+  it('drops video for audio-only profiles', () => {
+    const args = profileArgs(findProfile('mp3'), { duration: 10 })
+    expect(args).toContain('-vn')
+    expect(args).not.toContain('-c:v')
+    expect(args.slice(args.indexOf('-c:a'), args.indexOf('-c:a') + 4)).toEqual(['-c:a', 'libmp3lame', '-b:a', '192k'])
+  })
+
+  it('uses constant quality for VP9', () => {
+    const args = profileArgs(findProfile('webm-vp9'), { duration: 10 })
+    expect(args).toEqual(expect.arrayContaining(['-c:v', 'libvpx-vp9', '-crf', '32', '-b:v', '0']))
+    expect(args).not.toContain('-movflags')
+  })
+
+  it('builds scale, pad and fps filters', () => {
+    const args = profileArgs(findProfile('instagram-story'), { duration: 10 })
+    expect(args[args.indexOf('-vf') + 1]).toBe(
+      'scale=1080:1920:force_original_aspect_ratio=decrease,pad=1080:1920:(ow-iw)/2:(oh-ih)/2,fps=30'
+    )
+    const custom = { ...DEFAULT_PROFILE, scale: '720', rateControl: 'bitrate', videoBitrate: 1500 }
+    const customArgs = profileArgs(custom, { duration: 10 })
+    expect(customArgs).toEqual(expect.arrayContaining(['-b:v', '1500k', '-vf', 'scale=-2:720']))
+  })
+
+  it('leaves the audio bitrate out of the video cap', () => {
+    const args = profileArgs(DEFAULT_PROFILE, { duration: 8, capBytes: 1024 * 1024 })
+    expect(args.slice(-4)).toEqual(['-maxrate', `${Math.floor(8 * 1024 * 1024 / 8 / 1000) - 192}k`, '-bufsize', `${(Math.floor(8 * 1024 * 1024 / 8 / 1000) - 192) * 2}k`])
+  })
+})
+
+describe('keeping all streams', () => {
+  it('maps every stream and copies them in fast mode', () => {
+    const [part] = createSplitPlan({ ...input, name: 'show.mkv' }, { ...options, encoding: 'fast', allStreams: true }).segments
+    expect(part.args.slice(6, 12)).toEqual(['-map', '0', '-c', 'copy', '-avoid_negative_ts', 'make_zero'])
+  })
+
+  it('converts subtitles to what the output container holds', () => {
+    const mkv = createSplitPlan(input, { ...options, profile: { ...DEFAULT_PROFILE, container: 'mkv' }, allStreams: true }).segments[0].args
+    expect(mkv).toEqual(expect.arrayContaining(['-map', '0', '-c:s', 'copy', '-c:t', 'copy']))
+    const mp4 = createSplitPlan(input, { ...options, allStreams: true }).segments[0].args
+    expect(mp4).toEqual(expect.arrayContaining(['-c:s', 'mov_text', '-map', '-0:t?']))
+    const mp3 = createSplitPlan(input, { ...options, profile: findProfile('mp3'), allStreams: true }).segments[0].args
+    expect(mp3).toEqual(expect.arrayContaining(['-vn', '-sn', '-dn']))
+  })
+})
+
+describe('profiles in a plan', () => {
+  it('names parts after the profile container', () => {
+    const plan = createSplitPlan(input, { ...options, profile: findProfile('m4a') })
+    expect(plan.segments.map(s => s.name)).toEqual(['1_clip_1.m4a', '2_clip_2.m4a'])
+    expect(outputMimeType(input, { ...options, profile: findProfile('m4a') }, 'video/quicktime')).toBe('audio/mp4')
+  })
+
+  it('keeps the source container and type for stream copy', () => {
+    const fast = { ...options, encoding: 'fast', profile: findProfile('mp3') }
+    expect(createSplitPlan(input, fast).segments[0].name).toBe('1_clip_1.mov')
+    expect(outputMimeType(input, fast, 'video/quicktime')).toBe('video/quicktime')
+  })
+
+  it('applies platform duration and size limits', () => {
+    const plan = createSplitPlan(input, { ...options, profile: findProfile('whatsapp-status') })
+    expect(plan.capBytes).toBe(16 * 1024 * 1024)
+    expect(plan.segments).toHaveLength(4)
+    expect(Math.max(...plan.segments.map(s => s.duration))).toBeLessThanOrEqual(30)
+    expect(plan.segments[plan.segments.length - 1].end).toBe(95)
+  })
+
+  it('picks the tighter of the strict size and the platform cap', () => {
+    const plan = createSplitPlan(input, { ...options, mode: 'size', size: 5, strictSize: true, profile: findProfile('whatsapp-status') })
+    expect(plan.capBytes).toBe(5 * 1024 * 1024)
+  })
+})
+
+describe('resolveProfile', () => {
+  it('reads ids and custom profiles', () => {
+    expect(resolveProfile('mp3')).toBe(findProfile('mp3'))
+    expect(resolveProfile('nope')).toBeNull()
+    expect(resolveProfile({ id: 'custom', label: 'Custom', crf: 28, scale: '720' }))
+      .toEqual({ ...DEFAULT_PROFILE, id: 'custom', label: 'Custom', crf: 28, scale: '720' })
+  })
+
+  it('drops choices that are not offered and clamps numbers', () => {
+    const profile = resolveProfile({
+      id: 'webm-vp9',
+      container: 'mp4/../../x',
+      videoCodec: 'libx264 -evil',
+      audioCodec: ['aac'],
+      rateControl: 'cbr',
+      crf: 'abc',
+      videoBitrate: -5,
+      scale: '720,drawtext',
+      fps: 1000,
+      audioBitrate: 1e9,
+      maxSizeMB: 'lots',
+    })
+    expect(profile).toEqual({ ...findProfile('webm-vp9'), videoBitrate: 100, fps: 120, audioBitrate: 1024 })
+    expect(createSplitPlan(input, { ...options, profile }).segments[0].name).toBe('1_clip_1.webm')
+    expect(resolveProfile({ crf: 70.4 }).crf).toBe(63)
+    expect(resolveProfile(42)).toBeNull()
+  })
+})
+
+describe('mimeTypeFor', () => {
+  it('falls back for unknown extensions', () => {
+    expect(mimeTypeFor('WEBM')).toBe('video/webm')
+    expect(mimeTypeFor('avi', 'video/x-msvideo')).toBe('video/x-msvideo')
+  })
+})
@@ -0,0 +1,80 @@
+// Job-level progress shared by every long phase. Work is counted in units:
+// media seconds while splitting, bytes while reading an input into memory.
+// A job is a run of steps (one per part); the rate is averaged over the
+// whole job, so the ETA doesn't swing with FFmpeg's momentary speed.
+
+const TIME_PATTERN = /time=\s*(-?)(\d+):(\d{2}):(\d{2}(?:\.\d+)?)/
+const SPEED_PATTERN = /speed=\s*([\d.]+)x/
+
+// Reads `time=` (seconds written so far) and `speed=` (x realtime) from an
+// FFmpeg status line. Either is null when the line doesn't carry it yet.
+export const parseProgressLine = (line) => {
+  const time = TIME_PATTERN.exec(line)
+  const speed = SPEED_PATTERN.exec(line)
+  if (!time && !speed) return null
+  return {
+    time: time ? (time[1] ? 0 : Number(time[2]) * 3600 + Number(time[3]) * 60 + Number(time[4])) : null,
+    speed: speed ? Number(speed[1]) : null,
+  }
+}
+
+/**
+ * @typedef {object} JobProgress
+ * @property {number} total units in the whole job
+ * @property {number} done units in finished steps
+ * @property {number} step size of the running steps
+ * @property {number} stepDone units of the running steps done so far
+ * @property {Object<string, { step: number, stepDone: number }>} lanes the running
+ *   steps, one per lane; parts processed side by side each run in their own lane
+ * @property {number} started timestamp in ms
+ */
+
+/** @returns {JobProgress} */
+export const startProgress = (total, now) => ({ total, done: 0, step: 0, stepDone: 0, lanes: {}, started: now })
+
+const withLanes = (job, lanes) => {
+  const running = Object.values(lanes)
+  return {
+    ...job,
+    lanes,
+    step: running.reduce((sum, l) => sum + l.step, 0),
+    stepDone: running.reduce((sum, l) => sum + l.stepDone, 0),
+  }
+}
+
+export const beginStep = (job, size, lane = 0) => withLanes(job, { ...job.lanes, [lane]: { step: size, stepDone: 0 } })
+
+export const advanceStep = (job, amount, lane = 0) => {
+  const running = job.lanes[lane]
+  if (!running) return job
+  return withLanes(job, { ...job.lanes, [lane]: { ...running, stepDone: Math.max(0, Math.min(amount, running.step)) } })
+}
+
+// `redo` marks a step whose output was thrown away and will run again (an
+// oversized part being halved): its work still counts as done, and the job
+// grows by the same amount.
+export const finishStep = (job, { redo = false, lane = 0 } = {}) => {
+  const { [lane]: finished, ...lanes } = job.lanes
+  const step = finished ? finished.step : 0
+  return withLanes({
+    ...job,
+    total: redo ? job.total + step : job.total,
+    done: job.done + step,
+  }, lanes)
+}
+
+/**
+ * @returns {{ fraction: number, stepFraction: number, rate: number, eta: number | null }}
+ * `rate` is units per second; `eta` is seconds left, null until there is a rate.
+ */
+export const progressStats = (job, now) => {
+  const processed = job.done + job.stepDone
+  const elapsed = (now - job.started) / 1000
+  const rate = elapsed > 0 ? processed / elapsed : 0
+  return {
+    fraction: job.total > 0 ? Math.min(1, processed / job.total) : 0,
+    stepFraction: job.step > 0 ? job.stepDone / job.step : 0,
+    rate,
+    eta: rate > 0 ? Math.max(0, job.total - processed) / rate : null,
+  }
+}
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest'
+import { advanceStep, beginStep, finishStep, parseProgressLine, progressStats, startProgress } from './progress.js'
+
+describe('parseProgressLine', () => {
+  it('reads time and speed from a status line', () => {
+    const line = 'frame=  240 fps= 60 q=28.0 size=    1024kB time=00:01:04.50 bitrate= 130.1kbits/s speed=3.2x'
+    expect(parseProgressLine(line)).toEqual({ time: 64.5, speed: 3.2 })
+  })
+
+  it('treats the negative time of a starting encode as zero', () => {
+    expect(parseProgressLine('size=       0kB time=-00:00:00.02 bitrate=N/A speed=N/A')).toEqual({ time: 0, speed: null })
+  })
+
+  it('ignores other lines', () => {
+    expect(parseProgressLine('Stream #0:0: Video: h264')).toBeNull()
+  })
+})
+
+describe('progressStats', () => {
+  it('weights steps by their size', () => {
+    let job = startProgress(100, 0)
+    job = finishStep(beginStep(job, 80))
+    job = advanceStep(beginStep(job, 20), 10)
+    const stats = progressStats(job, 10000)
+    expect(stats.fraction).toBeCloseTo(0.9)
+    expect(stats.stepFraction).toBeCloseTo(0.5)
+    expect(stats.rate).toBeCloseTo(9)
+    expect(stats.eta).toBeCloseTo(10 / 9)
+  })
+
+  it('grows the job when a step has to run again', () => {
+    const job = finishStep(beginStep(startProgress(100, 0), 40), { redo: true })
+    expect(job.total).toBe(140)
+    expect(progressStats(job, 1000).fraction).toBeCloseTo(40 / 140)
+  })
+
+  it('adds up steps running side by side', () => {
+    let job = startProgress(100, 0)
+    job = advanceStep(beginStep(job, 40, 0), 20, 0)
+    job = advanceStep(beginStep(job, 60, 1), 30, 1)
+    expect(progressStats(job, 1000).fraction).toBeCloseTo(0.5)
+    job = finishStep(job, { lane: 1 })
+    expect(job.done).toBe(60)
+    expect(progressStats(job, 1000)).toMatchObject({ fraction: 0.8, stepFraction: 0.5 })
+  })
+
+  it('has no ETA before any work is done', () => {
+    expect(progressStats(startProgress(100, 0), 0).eta).toBeNull()
+  })
+})
@@ -0,0 +1,203 @@
+// Segment math shared by every split mode. A segment is a plain
+// `{ start, end }` range in seconds; `snapped` marks a start that sits on a
+// keyframe and `fileName` overrides the default output name.
+
+// Parts shorter than this come out empty or unplayable, so a tail that small
+// is folded into the part before it and tiny ranges are dropped.
+export const MIN_SEGMENT_DURATION = 0.05
+
+// Leaves room for container headers and index tables on top of the payload.
+export const SIZE_HEADROOM = 0.96
+
+// Absorbs float noise when a duration is an exact multiple of the split length.
+const EPSILON = 1e-6
+
+/**
+ * Evenly spaced boundaries for the parts/size/time modes.
+ * @param {{ duration: number, fileSize: number, mode: string, parts: number, size: number, time: number }} params
+ */
+export const planEvenSegments = ({ duration, fileSize, mode, parts, size, time }) => {
+  if (!(duration > 0)) return []
+
+  let count = parts
+  let partDuration = duration / parts
+  if (mode === 'size') {
+    const totalSizeMB = fileSize / (1024 * 1024)
+    count = Math.max(1, Math.ceil(totalSizeMB / size - EPSILON))
+    partDuration = duration / count
+  } else if (mode === 'time') {
+    count = Math.max(1, Math.ceil(duration / time - EPSILON))
+    partDuration = time
+  }
+
+  const segments = []
+  for (let i = 0; i < count; i++) {
+    const start = i * partDuration
+    const end = i === count - 1 ? duration : Math.min((i + 1) * partDuration, duration)
+    if (end - start <= 0) break
+    segments.push({ start, end })
+  }
+  return foldTinyTail(segments)
+}
+
+const foldTinyTail = (segments) => {
+  if (segments.length < 2) return segments
+  const last = segments[segments.length - 1]
+  if (last.end - last.start >= MIN_SEGMENT_DURATION) return segments
+  const folded = segments.slice(0, -1)
+  folded[folded.length - 1] = { ...folded[folded.length - 1], end: last.end }
+  return folded
+}
+
+/**
+ * Ranges between the Custom mode markers. A range is keyed by the marker that
+ * opens it ('start' for the first one) so exclusions follow dragged markers.
+ */
+export const customRanges = (duration, cuts, excluded) => {
+  const opens = [{ id: 'start', time: 0 }, ...cuts]
+  return opens.map((cut, i) => ({
+    id: cut.id,
+    start: cut.time,
+    end: i + 1 < opens.length ? opens[i + 1].time : duration,
+    excluded: excluded.includes(cut.id),
+  }))
+}
+
+/**
+ * Clamps explicit ranges to the file and drops the ones too short to export.
+ */
+export const clampRanges = (ranges, duration) => ranges
+  .map(r => ({ ...r, start: Math.max(0, r.start), end: Math.min(duration, r.end) }))
+  .filter(r => r.end - r.start >= MIN_SEGMENT_DURATION)
+
+const nearestKeyframe = (keyframes, t) => {
+  let lo = 0
+  let hi = keyframes.length - 1
+  while (lo < hi) {
+    const mid = (lo + hi) >> 1
+    if (keyframes[mid] < t) lo = mid + 1
+    else hi = mid
+  }
+  if (lo > 0 && t - keyframes[lo - 1] <= keyframes[lo] - t) return keyframes[lo - 1]
+  return keyframes[lo]
+}
+
+/**
+ * Moves every inner boundary onto the nearest keyframe so stream-copied parts
+ * open on a decodable frame. Boundaries that collapse onto the same keyframe
+ * are merged, so the result stays contiguous without duplicated frames.
+ */
+export const snapSegments = (segments, keyframes) => {
+  if (!keyframes || keyframes.length === 0 || segments.length < 2) return segments
+  const duration = segments[segments.length - 1].end
+
+  const bounds = [0]
+  for (let i = 1; i < segments.length; i++) {
+    const snapped = nearestKeyframe(keyframes, segments[i].start)
+    if (snapped > bounds[bounds.length - 1] && snapped < duration) bounds.push(snapped)
+  }
+  bounds.push(duration)
+
+  return bounds.slice(0, -1).map((start, i) => ({ start, end: bounds[i + 1], snapped: true }))
+}
+
+/**
+ * Greedy byte-budget cut: each part grows until the next packet would push
+ * it past `budget`, then ends at the last keyframe seen. A single GOP larger
+ * than the budget forces a cut off-keyframe.
+ * @param {{ time: number, size: number, key: boolean }[]} packets sorted by time
+ */
+export const planSegmentsBySize = (packets, duration, budget) => {
+  const segments = []
+  let start = 0
+  let snapped = false
+  let bytes = 0
+  let candidate = null
+
+  for (const packet of packets) {
+    if (packet.key && packet.time > start) candidate = { time: packet.time, before: bytes }
+
+    if (bytes + packet.size > budget && packet.time > start) {
+      if (candidate) {
+        segments.push({ start, end: candidate.time, snapped })
+        start = candidate.time
+        snapped = true
+        bytes -= candidate.before
+        candidate = null
+      }
+      if (bytes + packet.size > budget && packet.time > start) {
+        segments.push({ start, end: packet.time, snapped })
+        start = packet.time
+        snapped = false
+        bytes = 0
+      }
+    }
+    bytes += packet.size
+  }
+  if (duration > start) segments.push({ start, end: duration, snapped })
+  return segments
+}
+
+/**
+ * Splits an oversized part in two, preferring a keyframe near the middle.
+ * Returns null once the part is too short to split any further.
+ */
+export const halveSegment = (segment, cutPoints) => {
+  const { start, end } = segment
+  if (end - start < 1) return null
+  const middle = (start + end) / 2
+  let cut = middle
+  let snapped = false
+  if (cutPoints) {
+    const inside = cutPoints.filter(t => t > start && t < end)
+    if (inside.length > 0) {
+      cut = inside.reduce((best, t) => (Math.abs(t - middle) < Math.abs(best - middle) ? t : best))
+      snapped = true
+    }
+  }
+  return [{ start, end: cut, snapped: segment.snapped }, { start: cut, end, snapped }]
+}
+
+/**
+ * Splits every segment longer than `maxDuration` into equal pieces that fit.
+ */
+export const limitSegmentDuration = (segments, maxDuration) => {
+  if (!(maxDuration > 0)) return segments
+  return segments.flatMap(segment => {
+    const length = segment.end - segment.start
+    const count = Math.ceil(length / maxDuration - EPSILON)
+    if (count <= 1) return [segment]
+    const step = length / count
+    return Array.from({ length: count }, (_, i) => ({
+      start: segment.start + i * step,
+      end: i === count - 1 ? segment.end : segment.start + (i + 1) * step,
+      snapped: i === 0 ? segment.snapped : false,
+    }))
+  })
+}
+
+/**
+ * Starts every part after the first `overlap` seconds early, clamped to the
+ * file start. A moved start is no longer on a keyframe.
+ */
+export const applyOverlap = (segments, overlap) => {
+  if (!(overlap > 0)) return segments
+  return segments.map((s, i) => (i === 0 ? s : { ...s, start: Math.max(0, s.start - overlap), snapped: false }))
+}
+
+/**
+ * Widens every part by `preRoll` seconds before and `postRoll` seconds after,
+ * clamped to the file bounds. A moved start is no longer on a keyframe.
+ */
+export const padSegments = (segments, { preRoll = 0, postRoll = 0 }, duration) => {
+  if (!(preRoll > 0) && !(postRoll > 0)) return segments
+  return segments.map(s => {
+    const start = preRoll > 0 ? Math.max(0, s.start - preRoll) : s.start
+    return {
+      ...s,
+      start,
+      end: postRoll > 0 ? Math.min(duration, s.end + postRoll) : s.end,
+      snapped: start === s.start ? s.snapped : false,
+    }
+  })
+}
@@ -0,0 +1,141 @@
+import { describe, it, expect } from 'vitest'
+import {
+  MIN_SEGMENT_DURATION,
+  applyOverlap,
+  clampRanges,
+  halveSegment,
+  padSegments,
+  planEvenSegments,
+  planSegmentsBySize,
+  snapSegments,
+} from './segments.js'
+
+const MB = 1024 * 1024
+
+const expectContiguous = (segments, duration) => {
+  expect(segments[0].start).toBe(0)
+  expect(segments[segments.length - 1].end).toBe(duration)
+  for (let i = 1; i < segments.length; i++) expect(segments[i].start).toBe(segments[i - 1].end)
+}
+
+describe('planEvenSegments', () => {
+  it('splits into equal parts', () => {
+    const segments = planEvenSegments({ duration: 90, fileSize: 0, mode: 'parts', parts: 3 })
+    expect(segments).toEqual([
+      { start: 0, end: 30 },
+      { start: 30, end: 60 },
+      { start: 60, end: 90 },
+    ])
+  })
+
+  it('ends the last part exactly on the duration despite float drift', () => {
+    const duration = 100.1
+    const segments = planEvenSegments({ duration, fileSize: 0, mode: 'parts', parts: 7 })
+    expect(segments).toHaveLength(7)
+    expectContiguous(segments, duration)
+  })
+
+  it('keeps a single part when the file is shorter than the split time', () => {
+    expect(planEvenSegments({ duration: 42, fileSize: 0, mode: 'time', time: 60 })).toEqual([{ start: 0, end: 42 }])
+  })
+
+  it('does not add a part for float noise on an exact multiple', () => {
+    const segments = planEvenSegments({ duration: 180.0000000001, fileSize: 0, mode: 'time', time: 60 })
+    expect(segments).toHaveLength(3)
+    expect(segments[2].end).toBe(180.0000000001)
+  })
+
+  it('folds a tiny final part into the previous one', () => {
+    const duration = 120 + MIN_SEGMENT_DURATION / 2
+    const segments = planEvenSegments({ duration, fileSize: 0, mode: 'time', time: 60 })
+    expect(segments).toEqual([{ start: 0, end: 60 }, { start: 60, end: duration }])
+  })
+
+  it('keeps a short but playable final part', () => {
+    const segments = planEvenSegments({ duration: 121, fileSize: 0, mode: 'time', time: 60 })
+    expect(segments[segments.length - 1]).toEqual({ start: 120, end: 121 })
+  })
+
+  it('derives the part count from file size', () => {
+    const segments = planEvenSegments({ duration: 100, fileSize: 25 * MB, mode: 'size', size: 10 })
+    expect(segments).toHaveLength(3)
+    expectContiguous(segments, 100)
+  })
+
+  it('returns nothing for an unknown duration', () => {
+    expect(planEvenSegments({ duration: NaN, fileSize: 0, mode: 'parts', parts: 2 })).toEqual([])
+  })
+})
+
+describe('snapSegments', () => {
+  const even = planEvenSegments({ duration: 100, fileSize: 0, mode: 'parts', parts: 4 })
+
+  it('moves inner boundaries to the nearest keyframe', () => {
+    const snapped = snapSegments(even, [0, 10, 24, 52, 77, 90])
+    expect(snapped.map(s => [s.start, s.end])).toEqual([[0, 24], [24, 52], [52, 77], [77, 100]])
+  })
+
+  it('merges boundaries that land on the same keyframe', () => {
+    const snapped = snapSegments(even, [0, 40])
+    expect(snapped.map(s => [s.start, s.end])).toEqual([[0, 40], [40, 100]])
+  })
+
+  it('leaves the plan alone without keyframes', () => {
+    expect(snapSegments(even, null)).toBe(even)
+    expect(snapSegments(even, [])).toBe(even)
+  })
+})
+
+describe('planSegmentsBySize', () => {
+  const packets = []
+  for (let t = 0; t < 100; t += 0.5) packets.push({ time: t, size: 1000, key: t % 5 === 0 })
+
+  it('cuts on keyframes without exceeding the budget', () => {
+    const segments = planSegmentsBySize(packets, 100, 20000)
+    expectContiguous(segments, 100)
+    for (const s of segments) {
+      const bytes = packets.filter(p => p.time >= s.start && p.time < s.end).reduce((sum, p) => sum + p.size, 0)
+      expect(bytes).toBeLessThanOrEqual(20000)
+      if (s.start > 0) expect(s.start % 5).toBe(0)
+    }
+  })
+
+  it('forces a cut inside a GOP larger than the budget', () => {
+    const segments = planSegmentsBySize(packets, 100, 3000)
+    expectContiguous(segments, 100)
+    expect(segments.some(s => !s.snapped && s.start > 0)).toBe(true)
+  })
+})
+
+describe('halveSegment', () => {
+  it('prefers the cut point closest to the middle', () => {
+    expect(halveSegment({ start: 10, end: 30, snapped: true }, [0, 12, 19, 28])).toEqual([
+      { start: 10, end: 19, snapped: true },
+      { start: 19, end: 30, snapped: true },
+    ])
+  })
+
+  it('falls back to the midpoint and gives up below one second', () => {
+    expect(halveSegment({ start: 0, end: 4 }, null)[0].end).toBe(2)
+    expect(halveSegment({ start: 0, end: 0.9 }, null)).toBeNull()
+  })
+})
+
+describe('clampRanges, applyOverlap and padSegments', () => {
+  it('clamps to the file and drops empty ranges', () => {
+    expect(clampRanges([{ start: -1, end: 5 }, { start: 5, end: 5.01 }, { start: 8, end: 20 }], 10)).toEqual([
+      { start: 0, end: 5 },
+      { start: 8, end: 10 },
+    ])
+  })
+
+  it('starts later parts early without crossing the file start', () => {
+    const segments = applyOverlap([{ start: 0, end: 2 }, { start: 2, end: 4 }, { start: 4, end: 6 }], 3)
+    expect(segments.map(s => s.start)).toEqual([0, 0, 1])
+  })
+
+  it('pads parts without leaving the file', () => {
+    const segments = padSegments([{ start: 0, end: 5, snapped: true }, { start: 5, end: 10, snapped: true }], { preRoll: 1, postRoll: 2 }, 10)
+    expect(segments).toEqual([{ start: 0, end: 7, snapped: true }, { start: 4, end: 10, snapped: false }])
+  })
+})
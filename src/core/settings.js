@@ -0,0 +1,206 @@
+// The split settings as one plain object, so they can be saved as named
+// presets, exported and imported as JSON, and carried in a link's query
+// string. Everything read back goes through normalizeSettings, which keeps
+// only the values that make sense; a preset or link from an older or newer
+// version applies whatever it still has in common.
+
+import { MAX_WORKERS } from './pool.js'
+import { DEFAULT_PROFILE, findProfile, resolveProfile } from './profiles.js'
+
+export const SETTINGS_VERSION = 1
+
+const SPLIT_MODES = ['parts', 'size', 'time', 'custom', 'auto', 'chapters']
+const OUTPUTS = ['files', 'hls', 'dash']
+
+/**
+ * @typedef {object} Settings
+ * @property {string} mode split mode, as in SplitOptions
+ * @property {number} parts
+ * @property {number} size MB
+ * @property {number} time seconds
+ * @property {'fast' | 'compatible'} encoding
+ * @property {import('./profiles.js').EncodingProfile} profile
+ * @property {number} overlap
+ * @property {number} preRoll
+ * @property {number} postRoll
+ * @property {{ audio: boolean, video: boolean, seconds: number }} fades
+ * @property {boolean} allStreams
+ * @property {string} naming
+ * @property {boolean} tagParts
+ * @property {boolean} snapKeyframes
+ * @property {boolean} strictSize
+ * @property {'files' | 'hls' | 'dash'} output
+ * @property {1 | 'auto' | number} concurrency
+ */
+
+/** @type {Settings} */
+export const DEFAULT_SETTINGS = {
+  mode: 'parts',
+  parts: 2,
+  size: 10,
+  time: 60,
+  encoding: 'compatible',
+  profile: DEFAULT_PROFILE,
+  overlap: 0,
+  preRoll: 0,
+  postRoll: 0,
+  fades: { audio: false, video: false, seconds: 1 },
+  allStreams: false,
+  naming: '',
+  tagParts: false,
+  snapKeyframes: true,
+  strictSize: true,
+  output: 'files',
+  concurrency: 1,
+}
+
+const number = (min, { integer = false } = {}) => (value) => {
+  const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value
+  if (typeof n !== 'number' || !Number.isFinite(n) || n < min) return undefined
+  return integer ? Math.round(n) : Math.round(n * 1000) / 1000
+}
+const oneOf = (choices) => (value) => (choices.includes(value) ? value : undefined)
+const flag = (value) => {
+  if (typeof value === 'boolean') return value
+  if (value === '1' || value === 'true') return true
+  if (value === '0' || value === 'false') return false
+  return undefined
+}
+
+const readFades = (value) => {
+  if (!value || typeof value !== 'object') return undefined
+  return {
+    audio: flag(value.audio) ?? false,
+    video: flag(value.video) ?? false,
+    seconds: number(0.1)(value.seconds) ?? DEFAULT_SETTINGS.fades.seconds,
+  }
+}
+
+const READERS = {
+  mode: oneOf(SPLIT_MODES),
+  parts: number(2, { integer: true }),
+  size: number(1),
+  time: number(1),
+  encoding: oneOf(['fast', 'compatible']),
+  profile: (value) => resolveProfile(value) || undefined,
+  overlap: number(0),
+  preRoll: number(0),
+  postRoll: number(0),
+  fades: readFades,
+  allStreams: flag,
+  naming: (value) => (typeof value === 'string' ? value : undefined),
+  tagParts: flag,
+  snapKeyframes: flag,
+  strictSize: flag,
+  output: oneOf(OUTPUTS),
+  concurrency: (value) => {
+    if (value === 'auto') return 'auto'
+    const count = number(1, { integer: true })(value)
+    return count === undefined ? undefined : Math.min(MAX_WORKERS, count)
+  },
+}
+
+/**
+ * The recognised, valid values of `raw`; anything else is left out, so the
+ * result can be spread over the current settings.
+ * @returns {Partial<Settings>}
+ */
+export const normalizeSettings = (raw) => {
+  const settings = {}
+  if (!raw || typeof raw !== 'object') return settings
+  for (const [key, read] of Object.entries(READERS)) {
+    if (!(key in raw)) continue
+    const value = read(raw[key])
+    if (value !== undefined) settings[key] = value
+  }
+  return settings
+}
+
+// Built-in profiles go into links by id; edited ones in full.
+const profileParam = (profile) => (profile.id !== 'custom' && findProfile(profile.id) ? profile.id : JSON.stringify(profile))
+
+/**
+ * Query string (without the `?`) for `settings`. Only values that differ
+ * from the defaults are written, so links stay short.
+ */
+export const settingsToQuery = (settings) => {
+  const params = new URLSearchParams()
+  for (const key of Object.keys(READERS)) {
+    const value = settings[key]
+    const fallback = DEFAULT_SETTINGS[key]
+    if (value === undefined) continue
+    if (key === 'profile') {
+      if (profileParam(value) !== profileParam(fallback)) params.set(key, profileParam(value))
+    } else if (key === 'fades') {
+      const on = ['audio', 'video'].filter(k => value[k])
+      if (on.length > 0) params.set('fades', `${on.join(',')}:${value.seconds}`)
+    } else if (value !== fallback) {
+      params.set(key, typeof value === 'boolean' ? (value ? '1' : '0') : String(value))
+    }
+  }
+  return params.toString()
+}
+
+/**
+ * Settings carried by a query string (a URLSearchParams or its text);
+ * parameters that aren't settings, like `shared`, are ignored.
+ * @returns {Partial<Settings>}
+ */
+export const settingsFromQuery = (query) => {
+  const params = new URLSearchParams(query)
+  const raw = {}
+  for (const key of Object.keys(READERS)) {
+    if (!params.has(key)) continue
+    const value = params.get(key)
+    if (key === 'profile') {
+      try {
+        raw.profile = value.trim().startsWith('{') ? JSON.parse(value) : value
+      } catch {
+        // not a profile
+      }
+    } else if (key === 'fades') {
+      const [streams, seconds] = value.split(':')
+      const on = streams.split(',')
+      raw.fades = { audio: on.includes('audio'), video: on.includes('video'), seconds }
+    } else {
+      raw[key] = value
+    }
+  }
+  return normalizeSettings(raw)
+}
+
+// Query parameters settingsFromQuery reads, to clear them from the address bar
+export const SETTINGS_PARAMS = Object.keys(READERS)
+
+/**
+ * JSON for a preset export: `{ version, presets: [{ name, settings }] }`.
+ */
+export const formatPresets = (presets) => `${JSON.stringify({ version: SETTINGS_VERSION, presets }, null, 2)}\n`
+
+/**
+ * Reads a preset export back. A single `{ name, settings }` or a bare list
+ * is accepted too. Throws with a message fit for the user when the text
+ * holds no usable preset.
+ * @returns {{ name: string, settings: Partial<Settings> }[]}
+ */
+export const parsePresets = (text) => {
+  let data
+  try {
+    data = JSON.parse(text.replace(/^\uFEFF/, ''))
+  } catch (err) {
+    throw new Error(`The presets are not valid JSON: ${err.message}`)
+  }
+  const list = Array.isArray(data) ? data : Array.isArray(data?.presets) ? data.presets : [data]
+  const presets = list
+    .filter(p => p && typeof p === 'object' && typeof p.name === 'string' && p.name.trim())
+    .map(p => ({ name: p.name.trim(), settings: normalizeSettings(p.settings) }))
+    .filter(p => Object.keys(p.settings).length > 0)
+  if (presets.length === 0) throw new Error('The file has no named presets with settings')
+  return presets
+}
+
+// Adds or replaces presets by name, keeping the list sorted for the picker.
+export const mergePresets = (current, added) => [
+  ...current.filter(p => !added.some(a => a.name === p.name)),
+  ...added,
+].sort((a, b) => a.name.localeCompare(b.name))
@@ -0,0 +1,79 @@
+import { describe, it, expect } from 'vitest'
+import {
+  DEFAULT_SETTINGS,
+  formatPresets,
+  mergePresets,
+  normalizeSettings,
+  parsePresets,
+  settingsFromQuery,
+  settingsToQuery,
+} from './settings.js'
+import { findProfile } from './profiles.js'
+
+describe('normalizeSettings', () => {
+  it('keeps valid values and drops the rest', () => {
+    expect(normalizeSettings({ mode: 'time', time: 290, encoding: 'fast', parts: 1, size: -3, output: 'rtmp', extra: true })).toEqual({
+      mode: 'time',
+      time: 290,
+      encoding: 'fast',
+    })
+  })
+
+  it('rounds part counts and caps the instance count', () => {
+    expect(normalizeSettings({ parts: 3.6, concurrency: 40 })).toEqual({ parts: 4, concurrency: 8 })
+    expect(normalizeSettings({ concurrency: 'auto' })).toEqual({ concurrency: 'auto' })
+  })
+})
+
+describe('settings links', () => {
+  it('writes only what differs from the defaults', () => {
+    expect(settingsToQuery(DEFAULT_SETTINGS)).toBe('')
+    expect(settingsToQuery({ ...DEFAULT_SETTINGS, mode: 'time', time: 290, encoding: 'fast' })).toBe('mode=time&time=290&encoding=fast')
+  })
+
+  it('reads back what it wrote', () => {
+    const custom = { ...findProfile('h264-720p'), id: 'custom', label: 'Custom', crf: 21 }
+    const settings = {
+      ...DEFAULT_SETTINGS,
+      mode: 'size',
+      size: 9.5,
+      profile: custom,
+      fades: { audio: true, video: false, seconds: 1.5 },
+      strictSize: false,
+      naming: '{name} - {index}',
+      concurrency: 'auto',
+    }
+    const query = settingsToQuery(settings)
+    expect(settingsFromQuery(query)).toEqual({
+      mode: 'size',
+      size: 9.5,
+      profile: custom,
+      fades: { audio: true, video: false, seconds: 1.5 },
+      strictSize: false,
+      naming: '{name} - {index}',
+      concurrency: 'auto',
+    })
+    expect(settingsFromQuery('?profile=mp3&shared')).toEqual({ profile: findProfile('mp3') })
+  })
+})
+
+describe('presets', () => {
+  it('round-trips an export', () => {
+    const presets = [{ name: 'Team clips', settings: { mode: 'time', time: 290, encoding: 'fast' } }]
+    expect(parsePresets(formatPresets(presets))).toEqual(presets)
+  })
+
+  it('accepts a single preset and rejects files without any', () => {
+    expect(parsePresets('{"name":" Halves ","settings":{"parts":2}}')).toEqual([{ name: 'Halves', settings: { parts: 2 } }])
+    expect(() => parsePresets('{"presets":[{"name":"x","settings":{"parts":0}}]}')).toThrow(/no named presets/)
+    expect(() => parsePresets('nope')).toThrow(/not valid JSON/)
+  })
+
+  it('replaces presets by name and keeps them sorted', () => {
+    const merged = mergePresets(
+      [{ name: 'b', settings: { parts: 2 } }, { name: 'a', settings: { parts: 3 } }],
+      [{ name: 'b', settings: { parts: 5 } }],
+    )
+    expect(merged).toEqual([{ name: 'a', settings: { parts: 3 } }, { name: 'b', settings: { parts: 5 } }])
+  })
+})
@@ -0,0 +1,144 @@
+// Streaming output: instead of standalone parts, the whole source becomes an
+// HLS or DASH presentation cut into segments of the `time` split length.
+// Like plan.js this only builds the FFmpeg arguments; the caller runs them
+// and collects whatever lands in the output directory.
+
+import { splitFileName, safeFileName } from './naming.js'
+import { DEFAULT_PROFILE, profileArgs } from './profiles.js'
+import { formatSeconds } from './args.js'
+
+export const STREAM_FORMATS = [
+  { id: 'hls', label: 'HLS' },
+  { id: 'dash', label: 'DASH' },
+]
+
+// Renditions offered for a multi-bitrate ladder, always H.264/AAC so every
+// HLS and DASH player can switch between them.
+export const LADDER = [
+  { height: 1080, videoBitrate: 5000, audioBitrate: 192 },
+  { height: 720, videoBitrate: 2800, audioBitrate: 128 },
+  { height: 480, videoBitrate: 1400, audioBitrate: 128 },
+  { height: 360, videoBitrate: 800, audioBitrate: 96 },
+]
+
+const MIME_TYPES = {
+  m3u8: 'application/vnd.apple.mpegurl',
+  mpd: 'application/dash+xml',
+  ts: 'video/mp2t',
+  m4s: 'video/iso.segment',
+  mp4: 'video/mp4',
+}
+
+export const streamMimeType = (name) => MIME_TYPES[splitFileName(name).ext.toLowerCase()] || 'application/octet-stream'
+
+/**
+ * @typedef {object} StreamOptions
+ * @property {'hls' | 'dash'} format
+ * @property {number} segmentSeconds target segment length; segments start on keyframes
+ * @property {'fast' | 'compatible'} encoding
+ * @property {import('./profiles.js').EncodingProfile} [profile] re-encode settings for 'compatible'
+ * @property {'ts' | 'fmp4'} [segmentType] HLS segment container, MPEG-TS by default
+ * @property {number[]} [ladder] rendition heights from LADDER; re-encodes every rendition and
+ *   adds a master playlist. The source needs an audio track.
+ */
+
+// HEVC, VP9 and Opus are only allowed in fragmented MP4 segments.
+export const streamSegmentType = (options) => {
+  if (options.format === 'dash') return 'fmp4'
+  const profile = options.encoding === 'compatible' && !options.ladder?.length ? options.profile || DEFAULT_PROFILE : null
+  if (profile && (['libx265', 'libvpx-vp9'].includes(profile.videoCodec) || profile.audioCodec === 'libopus')) return 'fmp4'
+  return options.segmentType || 'ts'
+}
+
+// Keyframes exactly on the segment boundaries, so every segment is as long
+// as asked for.
+const keyframeArgs = (seconds) => ['-force_key_frames', `expr:gte(t,n_forced*${formatSeconds(seconds)})`]
+
+// `profileArgs` without the MP4 file flags, which mean nothing to a segmenter.
+const codecArgs = (profile, duration) => {
+  const args = profileArgs(profile, { duration })
+  const flags = args.indexOf('-movflags')
+  if (flags >= 0) args.splice(flags, 2)
+  return args
+}
+
+const ladderArgs = (rungs, segmentSeconds) => {
+  const split = rungs.map((_, i) => `[s${i}]`).join('')
+  const scaled = rungs.map((rung, i) => `[s${i}]scale=-2:${rung.height}[v${i}]`)
+  const args = ['-filter_complex', [`[0:v:0]split=${rungs.length}${split}`, ...scaled].join(';')]
+  rungs.forEach((_, i) => args.push('-map', `[v${i}]`))
+  rungs.forEach(() => args.push('-map', '0:a:0'))
+  args.push('-c:v', 'libx264', '-preset', 'fast', '-c:a', 'aac')
+  rungs.forEach((rung, i) => {
+    args.push(
+      `-b:v:${i}`, `${rung.videoBitrate}k`,
+      `-maxrate:v:${i}`, `${Math.round(rung.videoBitrate * 1.1)}k`,
+      `-bufsize:v:${i}`, `${rung.videoBitrate * 2}k`,
+      `-b:a:${i}`, `${rung.audioBitrate}k`,
+    )
+  })
+  args.push(...keyframeArgs(segmentSeconds))
+  return args
+}
+
+/**
+ * FFmpeg arguments that turn `input` into an HLS or DASH presentation inside
+ * `dir`. Returns the entry point (`playlist`, the master playlist for a
+ * ladder) next to the argv.
+ *
+ * @param {import('./plan.js').SplitInput} input
+ * @param {StreamOptions} options
+ * @param {string} [dir] output directory in the FS the args run against
+ */
+export const createStreamPlan = (input, options, dir = 'stream') => {
+  const base = safeFileName(splitFileName(input.name).baseName)
+  const rungs = (options.ladder || []).map(height => LADDER.find(r => r.height === height)).filter(Boolean)
+  const ladder = options.encoding === 'compatible' && rungs.length > 0
+  const args = ['-i', input.path || 'input']
+
+  if (ladder) {
+    args.push(...ladderArgs(rungs, options.segmentSeconds))
+  } else {
+    // One video and one audio track; `V` skips cover art, which no segment format takes
+    args.push('-map', '0:V:0?', '-map', '0:a:0?')
+    if (options.encoding === 'fast') {
+      args.push('-c', 'copy')
+    } else {
+      args.push(...codecArgs(options.profile || DEFAULT_PROFILE, input.duration), ...keyframeArgs(options.segmentSeconds))
+    }
+  }
+
+  const variant = ladder ? '_%v' : ''
+  let playlist
+  if (options.format === 'dash') {
+    playlist = `${base}.mpd`
+    args.push(
+      '-f', 'dash',
+      '-seg_duration', formatSeconds(options.segmentSeconds),
+      '-use_template', '1',
+      '-use_timeline', '1',
+      '-init_seg_name', `${base}_init_$RepresentationID$.$ext$`,
+      '-media_seg_name', `${base}_$RepresentationID$_$Number%05d$.$ext$`,
+    )
+    if (ladder) args.push('-adaptation_sets', 'id=0,streams=v id=1,streams=a')
+    args.push(`${dir}/${playlist}`)
+  } else {
+    const fmp4 = streamSegmentType({ ...options, ladder: ladder ? options.ladder : [] }) === 'fmp4'
+    playlist = `${base}.m3u8`
+    args.push(
+      '-f', 'hls',
+      '-hls_time', formatSeconds(options.segmentSeconds),
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', `${dir}/${base}${variant}_%05d.${fmp4 ? 'm4s' : 'ts'}`,
+    )
+    if (fmp4) args.push('-hls_segment_type', 'fmp4', '-hls_fmp4_init_filename', `${base}${variant}_init.mp4`)
+    if (ladder) {
+      args.push('-master_pl_name', playlist, '-var_stream_map', rungs.map((_, i) => `v:${i},a:${i},name:${rungs[i].height}p`).join(' '))
+      args.push(`${dir}/${base}_%v.m3u8`)
+    } else {
+      args.push(`${dir}/${playlist}`)
+    }
+  }
+  return { format: options.format, dir, playlist, args }
+}
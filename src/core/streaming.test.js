@@ -0,0 +1,74 @@
+import { describe, it, expect } from 'vitest'
+import { createStreamPlan, streamMimeType, streamSegmentType } from './streaming.js'
+import { findProfile } from './profiles.js'
+
+const input = { name: 'show.ep1.mkv', path: '/input/show.ep1.mkv', duration: 600, size: 1e8 }
+
+const after = (args, flag) => args[args.indexOf(flag) + 1]
+
+describe('createStreamPlan', () => {
+  it('stream-copies into an HLS playlist with MPEG-TS segments', () => {
+    const plan = createStreamPlan(input, { format: 'hls', segmentSeconds: 6, encoding: 'fast' })
+    expect(plan.playlist).toBe('show.ep1.m3u8')
+    expect(plan.args).toEqual([
+      '-i', '/input/show.ep1.mkv',
+      '-map', '0:V:0?', '-map', '0:a:0?',
+      '-c', 'copy',
+      '-f', 'hls',
+      '-hls_time', '6',
+      '-hls_playlist_type', 'vod',
+      '-hls_flags', 'independent_segments',
+      '-hls_segment_filename', 'stream/show.ep1_%05d.ts',
+      'stream/show.ep1.m3u8',
+    ])
+  })
+
+  it('re-encodes with the profile and forces keyframes on segment boundaries', () => {
+    const { args } = createStreamPlan(input, { format: 'hls', segmentSeconds: 4, encoding: 'compatible', profile: findProfile('h264-720p') })
+    expect(after(args, '-c:v')).toBe('libx264')
+    expect(after(args, '-vf')).toBe('scale=-2:720')
+    expect(after(args, '-force_key_frames')).toBe('expr:gte(t,n_forced*4)')
+    expect(args).not.toContain('-movflags')
+  })
+
+  it('switches to fMP4 segments for codecs MPEG-TS cannot carry', () => {
+    const options = { format: 'hls', segmentSeconds: 6, encoding: 'compatible', profile: findProfile('webm-vp9') }
+    expect(streamSegmentType(options)).toBe('fmp4')
+    const { args } = createStreamPlan(input, options)
+    expect(after(args, '-hls_segment_filename')).toBe('stream/show.ep1_%05d.m4s')
+    expect(after(args, '-hls_fmp4_init_filename')).toBe('show.ep1_init.mp4')
+  })
+
+  it('builds a ladder of renditions behind a master playlist', () => {
+    const { args, playlist } = createStreamPlan(input, { format: 'hls', segmentSeconds: 6, encoding: 'compatible', ladder: [720, 360] })
+    expect(playlist).toBe('show.ep1.m3u8')
+    expect(after(args, '-filter_complex')).toBe('[0:v:0]split=2[s0][s1];[s0]scale=-2:720[v0];[s1]scale=-2:360[v1]')
+    expect(after(args, '-b:v:1')).toBe('800k')
+    expect(after(args, '-var_stream_map')).toBe('v:0,a:0,name:720p v:1,a:1,name:360p')
+    expect(after(args, '-master_pl_name')).toBe('show.ep1.m3u8')
+    expect(args[args.length - 1]).toBe('stream/show.ep1_%v.m3u8')
+  })
+
+  it('ignores the ladder when stream copying', () => {
+    const { args } = createStreamPlan(input, { format: 'hls', segmentSeconds: 6, encoding: 'fast', ladder: [720] })
+    expect(args).not.toContain('-var_stream_map')
+    expect(args).toContain('copy')
+  })
+
+  it('writes a DASH manifest with templated segment names', () => {
+    const plan = createStreamPlan(input, { format: 'dash', segmentSeconds: 2.5, encoding: 'compatible', ladder: [480] }, '/out')
+    expect(plan.playlist).toBe('show.ep1.mpd')
+    expect(after(plan.args, '-seg_duration')).toBe('2.5')
+    expect(after(plan.args, '-media_seg_name')).toBe('show.ep1_$RepresentationID$_$Number%05d$.$ext$')
+    expect(after(plan.args, '-adaptation_sets')).toBe('id=0,streams=v id=1,streams=a')
+    expect(plan.args[plan.args.length - 1]).toBe('/out/show.ep1.mpd')
+  })
+})
+
+describe('streamMimeType', () => {
+  it('knows playlists and segments', () => {
+    expect(streamMimeType('a.m3u8')).toBe('application/vnd.apple.mpegurl')
+    expect(streamMimeType('a_00001.m4s')).toBe('video/iso.segment')
+    expect(streamMimeType('a.bin')).toBe('application/octet-stream')
+  })
+})
@@ -0,0 +1,125 @@
+// Sidecar subtitle files (.srt, .vtt, .ass/.ssa), cut to one part and
+// re-timed so the part's subtitles start at 00:00:00. Cues crossing a part
+// boundary are clipped to it; cues outside the part are dropped.
+
+const FORMATS = { srt: 'srt', vtt: 'vtt', ass: 'ass', ssa: 'ass' }
+
+export const SUBTITLE_TYPES = { srt: 'application/x-subrip', vtt: 'text/vtt', ass: 'text/x-ssa' }
+
+// 'srt', 'vtt' or 'ass' for a subtitle file name, otherwise null.
+export const subtitleFormat = (fileName) => FORMATS[fileName.split('.').pop().toLowerCase()] || null
+
+// Sidecars belong to the media file they are named after: `movie.srt` and
+// `movie.en.srt` both go with `movie.mkv`.
+export const subtitleMatches = (mediaName, subtitleName) => {
+  const base = mediaName.replace(/\.[^.]+$/, '')
+  return subtitleName.startsWith(`${base}.`)
+}
+
+// Moves a cue into the part [from, to), or null when it falls outside.
+const clip = (start, end, from, to) => {
+  if (end <= from || start >= to) return null
+  return { start: Math.max(start, from) - from, end: Math.min(end, to) - from }
+}
+
+const CLOCK = /^(?:(\d+):)?(\d{1,2}):(\d{2})[,.](\d{1,3})$/
+
+const parseClock = (text) => {
+  const match = CLOCK.exec(text.trim())
+  if (!match) return NaN
+  const [, h = '0', m, s, fraction] = match
+  return Number(h) * 3600 + Number(m) * 60 + Number(s) + Number(fraction.padEnd(3, '0')) / 1000
+}
+
+// `00:01:02,345` for SRT, `00:01:02.345` for WebVTT
+const formatClock = (seconds, separator) => {
+  const ms = Math.round(seconds * 1000)
+  const h = String(Math.floor(ms / 3600000)).padStart(2, '0')
+  const m = String(Math.floor(ms / 60000) % 60).padStart(2, '0')
+  const s = String(Math.floor(ms / 1000) % 60).padStart(2, '0')
+  return `${h}:${m}:${s}${separator}${String(ms % 1000).padStart(3, '0')}`
+}
+
+// `0:01:02.34` for ASS
+const formatAssClock = (seconds) => {
+  const cs = Math.round(seconds * 100)
+  const m = String(Math.floor(cs / 6000) % 60).padStart(2, '0')
+  const s = String(Math.floor(cs / 100) % 60).padStart(2, '0')
+  return `${Math.floor(cs / 360000)}:${m}:${s}.${String(cs % 100).padStart(2, '0')}`
+}
+
+const blocksOf = (text) => text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').trim().split(/\n{2,}/)
+
+// Splits `start --> end [settings]`; null for lines that aren't cue timings.
+const parseTiming = (line) => {
+  const match = /^\s*(\S+)\s+-->\s+(\S+)(.*)$/.exec(line)
+  if (!match) return null
+  const start = parseClock(match[1])
+  const end = parseClock(match[2])
+  return Number.isFinite(start) && Number.isFinite(end) ? { start, end, settings: match[3] } : null
+}
+
+const cutSrt = (text, from, to) => {
+  const cues = []
+  for (const block of blocksOf(text)) {
+    const lines = block.split('\n')
+    const at = lines.findIndex(line => line.includes('-->'))
+    const timing = at >= 0 ? parseTiming(lines[at]) : null
+    const window = timing && clip(timing.start, timing.end, from, to)
+    if (window) cues.push({ ...window, text: lines.slice(at + 1).join('\n') })
+  }
+  return cues.map((cue, i) => `${i + 1}\n${formatClock(cue.start, ',')} --> ${formatClock(cue.end, ',')}\n${cue.text}`).join('\n\n') + '\n'
+}
+
+// Keeps the header and STYLE/REGION blocks; NOTE blocks are dropped.
+const cutVtt = (text, from, to) => {
+  const out = []
+  for (const [i, block] of blocksOf(text).entries()) {
+    const lines = block.split('\n')
+    const at = lines.findIndex(line => line.includes('-->'))
+    if (at < 0) {
+      if (i === 0 || /^(STYLE|REGION)\b/.test(block)) out.push(block)
+      continue
+    }
+    const timing = parseTiming(lines[at])
+    const window = timing && clip(timing.start, timing.end, from, to)
+    if (!window) continue
+    const timingLine = `${formatClock(window.start, '.')} --> ${formatClock(window.end, '.')}${timing.settings}`
+    out.push([...lines.slice(0, at), timingLine, ...lines.slice(at + 1)].join('\n'))
+  }
+  return out.join('\n\n') + '\n'
+}
+
+// Re-times Dialogue and Comment lines in [Events], using its Format line to
+// find the Start and End fields. Every other line passes through.
+const cutAss = (text, from, to) => {
+  let fields = ['layer', 'start', 'end']
+  const out = []
+  for (const line of text.replace(/^\uFEFF/, '').replace(/\r\n?/g, '\n').split('\n')) {
+    const event = /^(Dialogue|Comment):\s*(.*)$/.exec(line)
+    if (/^Format:/.test(line)) fields = line.slice(7).split(',').map(f => f.trim().toLowerCase())
+    if (!event) {
+      out.push(line)
+      continue
+    }
+    const startAt = fields.indexOf('start')
+    const endAt = fields.indexOf('end')
+    // Only the last field (Text) may contain commas
+    const values = event[2].split(',')
+    const head = values.slice(0, fields.length - 1)
+    const window = clip(parseClock(head[startAt]), parseClock(head[endAt]), from, to)
+    if (!window) continue
+    head[startAt] = formatAssClock(window.start)
+    head[endAt] = formatAssClock(window.end)
+    out.push(`${event[1]}: ${[...head, values.slice(fields.length - 1).join(',')].join(',')}`)
+  }
+  return out.join('\n')
+}
+
+const CUTTERS = { srt: cutSrt, vtt: cutVtt, ass: cutAss }
+
+/**
+ * Subtitles of `text` (in `format`) between `from` and `to` seconds of the
+ * source, shifted to start at zero.
+ */
+export const cutSubtitles = (text, format, from, to) => CUTTERS[format](text, from, to)
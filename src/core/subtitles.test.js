@@ -0,0 +1,66 @@
+import { describe, it, expect } from 'vitest'
+import { cutSubtitles, subtitleFormat, subtitleMatches } from './subtitles.js'
+import { sidecarName } from './naming.js'
+
+const SRT = `1
+00:00:01,000 --> 00:00:03,000
+Before the part
+
+2
+00:00:09,500 --> 00:00:12,000
+Crosses the start
+
+3
+00:00:15,000 --> 00:00:16,250
+Inside
+on two lines
+
+4
+00:00:25,000 --> 00:00:27,000
+After the part
+`
+
+describe('cutSubtitles', () => {
+  it('cuts, clips and renumbers SRT cues from zero', () => {
+    expect(cutSubtitles(SRT, 'srt', 10, 20)).toBe(`1
+00:00:00,000 --> 00:00:02,000
+Crosses the start
+
+2
+00:00:05,000 --> 00:00:06,250
+Inside
+on two lines
+`)
+  })
+
+  it('keeps the WebVTT header, cue ids and settings', () => {
+    const vtt = 'WEBVTT\n\nNOTE dropped\n\nintro\n01:05.000 --> 01:07.500 align:start\nHello\n\n02:00.000 --> 02:01.000\nLater\n'
+    expect(cutSubtitles(vtt, 'vtt', 60, 90)).toBe('WEBVTT\n\nintro\n00:00:05.000 --> 00:00:07.500 align:start\nHello\n')
+  })
+
+  it('re-times ASS events and keeps commas in the text', () => {
+    const ass = [
+      '[Events]',
+      'Format: Layer, Start, End, Style, Name, MarginL, MarginR, MarginV, Effect, Text',
+      'Dialogue: 0,0:01:01.50,0:01:03.00,Default,,0,0,0,,Well, hello there',
+      'Dialogue: 0,0:00:10.00,0:00:12.00,Default,,0,0,0,,Gone',
+    ].join('\n')
+    expect(cutSubtitles(ass, 'ass', 60, 120).split('\n')[2]).toBe('Dialogue: 0,0:00:01.50,0:00:03.00,Default,,0,0,0,,Well, hello there')
+    expect(cutSubtitles(ass, 'ass', 60, 120)).not.toMatch(/Gone/)
+  })
+})
+
+describe('sidecar files', () => {
+  it('recognises subtitle files and the media they belong to', () => {
+    expect(subtitleFormat('Movie.EN.SRT')).toBe('srt')
+    expect(subtitleFormat('movie.ssa')).toBe('ass')
+    expect(subtitleFormat('movie.mkv')).toBeNull()
+    expect(subtitleMatches('movie.mkv', 'movie.en.srt')).toBe(true)
+    expect(subtitleMatches('movie.mkv', 'movie2.srt')).toBe(false)
+  })
+
+  it('names sidecars after the part', () => {
+    expect(sidecarName('1_movie_1.mkv', 'movie.mkv', 'movie.en.srt')).toBe('1_movie_1.en.srt')
+    expect(sidecarName('1_movie_1.mkv', 'movie.mkv', 'subs.vtt')).toBe('1_movie_1.subs.vtt')
+  })
+})
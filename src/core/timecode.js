@@ -0,0 +1,39 @@
+export const formatTimestamp = (seconds) => {
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = (seconds % 60).toFixed(2).padStart(5, '0')
+  return h > 0 ? `${h}:${String(m).padStart(2, '0')}:${s}` : `${m}:${s}`
+}
+
+// Accepts `1:02:03.5`, `02:03` or plain seconds. Returns NaN when unparseable.
+export const parseTimestamp = (text) => {
+  const value = text.trim()
+  if (!/^\d+(:\d{1,2}){0,2}(\.\d+)?$/.test(value)) return NaN
+  return value.split(':').reduce((total, unit) => total * 60 + parseFloat(unit), 0)
+}
+
+const CLOCK_PATTERN = /(?:\d+:)?\d{1,2}:\d{2}(?:\.\d+)?/
+
+// Pulls cut times out of pasted text: comma separated timestamps, or one
+// YouTube-style chapter per line (`00:00 Intro`, `4:12 - Second topic`).
+// Result is sorted, de-duplicated and limited to (0, duration).
+export const parseTimestampList = (text, duration = Infinity) => {
+  const times = []
+  for (const piece of text.split(/[\n,;]+/)) {
+    const clock = piece.match(CLOCK_PATTERN)
+    const time = parseTimestamp(clock ? clock[0] : piece)
+    if (Number.isFinite(time) && time > 0 && time < duration) times.push(time)
+  }
+  return [...new Set(times)].sort((a, b) => a - b)
+}
+
+// Short human form for badges: `1h 2m 3s`, `2m 3s`, `3s`.
+export const formatTime = (seconds) => {
+  if (!seconds) return '0s'
+  const h = Math.floor(seconds / 3600)
+  const m = Math.floor((seconds % 3600) / 60)
+  const s = Math.floor(seconds % 60)
+  if (h > 0) return `${h}h ${m}m ${s}s`
+  if (m > 0) return `${m}m ${s}s`
+  return `${s}s`
+}
@@ -0,0 +1,35 @@
+import { describe, it, expect } from 'vitest'
+import { formatTime, formatTimestamp, parseTimestamp, parseTimestampList } from './timecode.js'
+
+describe('parseTimestamp', () => {
+  it('reads clock and plain second values', () => {
+    expect(parseTimestamp('1:02:03.5')).toBe(3723.5)
+    expect(parseTimestamp('04:12')).toBe(252)
+    expect(parseTimestamp('90')).toBe(90)
+    expect(parseTimestamp('abc')).toBeNaN()
+  })
+})
+
+describe('parseTimestampList', () => {
+  it('reads comma separated timestamps', () => {
+    expect(parseTimestampList('00:01:30, 00:04:12.5')).toEqual([90, 252.5])
+  })
+
+  it('reads YouTube chapter lines and skips the zero marker', () => {
+    const text = '00:00 Intro\n1:30 - Top 10 tips\n1:02:03 Outro'
+    expect(parseTimestampList(text)).toEqual([90, 3723])
+  })
+
+  it('drops times past the end and duplicates', () => {
+    expect(parseTimestampList('10, 10, 20, 500', 100)).toEqual([10, 20])
+  })
+})
+
+describe('formatting', () => {
+  it('formats timestamps and durations', () => {
+    expect(formatTimestamp(83.456)).toBe('1:23.46')
+    expect(formatTimestamp(3723.5)).toBe('1:02:03.50')
+    expect(formatTime(3723.5)).toBe('1h 2m 3s')
+    expect(formatTime(0)).toBe('0s')
+  })
+})
@@ -0,0 +1,30 @@
+// The two FFmpeg builds the app ships, both served from our own origin. The
+// multi-threaded one needs SharedArrayBuffer, which browsers only expose to
+// cross-origin isolated pages (the COOP/COEP headers in vite.config.js and
+// public/_headers); without them the single-threaded build is used.
+import coreURL from '@ffmpeg/core?url'
+import wasmURL from '@ffmpeg/core/wasm?url'
+import mtCoreURL from '@ffmpeg/core-mt?url'
+import mtWasmURL from '@ffmpeg/core-mt/wasm?url'
+import mtWorkerURL from '@ffmpeg/core-mt/worker?url'
+
+export const MULTI_THREADED = {
+  id: 'mt',
+  label: 'Multi-threaded (@ffmpeg/core-mt)',
+  urls: { coreURL: mtCoreURL, wasmURL: mtWasmURL, workerURL: mtWorkerURL },
+}
+
+export const SINGLE_THREADED = {
+  id: 'st',
+  label: 'Single-threaded (@ffmpeg/core)',
+  urls: { coreURL, wasmURL },
+}
+
+export const isCrossOriginIsolated = () => window.crossOriginIsolated === true && typeof SharedArrayBuffer !== 'undefined'
+
+// Cores to try in order; the single-threaded build is the fallback when the
+// multi-threaded one fails to start anyway.
+export const coreCandidates = () => (isCrossOriginIsolated() ? [MULTI_THREADED, SINGLE_THREADED] : [SINGLE_THREADED])
+
+// FFmpeg sizes its thread pools from the reported CPU count
+export const threadCount = (core) => (core.id === 'mt' ? navigator.hardwareConcurrency || 1 : 1)
@@ -0,0 +1,31 @@
+// Files handed to the installed app by the operating system.
+
+const SHARED_CACHE = 'media-splitter-shared'
+
+// The service worker parks files from the share target in a cache and
+// redirects to `/?shared`; this collects them once and clears the cache.
+export const takeSharedFiles = async () => {
+  const url = new URL(window.location.href)
+  if (!url.searchParams.has('shared') || !('caches' in window)) return []
+  url.searchParams.delete('shared')
+  window.history.replaceState(null, '', url)
+
+  const cache = await caches.open(SHARED_CACHE)
+  const requests = await cache.keys()
+  const files = await Promise.all(requests.map(async (request) => {
+    const response = await cache.match(request)
+    const name = decodeURIComponent(response.headers.get('X-File-Name') || 'shared-media')
+    return new File([await response.blob()], name, { type: response.headers.get('Content-Type') || '' })
+  }))
+  await caches.delete(SHARED_CACHE)
+  return files
+}
+
+// "Open with" from the file manager, via the File Handling API.
+export const watchLaunchedFiles = (onFiles) => {
+  if (!('launchQueue' in window)) return
+  window.launchQueue.setConsumer(async (params) => {
+    if (!params.files?.length) return
+    onFiles(await Promise.all(params.files.map(handle => handle.getFile())))
+  })
+}
@@ -0,0 +1,50 @@
+// Service worker source. The build fills in the version and the list of
+// files to precache (see vite.config.js), so once installed the whole app,
+// FFmpeg core included, loads without a network connection.
+
+const CACHE = `media-splitter-${self.__CACHE_VERSION}`
+const PRECACHE = self.__PRECACHE_MANIFEST
+// Must match SHARED_CACHE in src/launch.js
+const SHARED_CACHE = 'media-splitter-shared'
+
+self.addEventListener('install', (event) => {
+  event.waitUntil(
+    caches.open(CACHE)
+      .then(cache => cache.addAll(PRECACHE))
+      .then(() => self.skipWaiting())
+  )
+})
+
+self.addEventListener('activate', (event) => {
+  event.waitUntil(
+    caches.keys()
+      .then(keys => Promise.all(keys.filter(key => key !== CACHE && key !== SHARED_CACHE).map(key => caches.delete(key))))
+      .then(() => self.clients.claim())
+  )
+})
+
+// Files shared to the installed app arrive as a form POST. They wait in a
+// cache until the page picks them up after the redirect.
+const receiveShare = async (request) => {
+  const data = await request.formData()
+  const files = data.getAll('media').filter(entry => entry instanceof File)
+  const cache = await caches.open(SHARED_CACHE)
+  await Promise.all(files.map((file, i) => cache.put(`/shared/${i}`, new Response(file, {
+    headers: { 'Content-Type': file.type, 'X-File-Name': encodeURIComponent(file.name) },
+  }))))
+  return Response.redirect('/?shared', 303)
+}
+
+self.addEventListener('fetch', (event) => {
+  const { request } = event
+  const url = new URL(request.url)
+  if (request.method === 'POST' && url.pathname === '/share-target') {
+    event.respondWith(receiveShare(request))
+    return
+  }
+  if (request.method !== 'GET' || url.origin !== self.location.origin) return
+
+  // Every navigation gets the app shell; everything else is cache first
+  const key = request.mode === 'navigate' ? '/' : request
+  event.respondWith(caches.match(key).then(hit => hit || fetch(request)))
+})
@@ -0,0 +1,47 @@
+// Settings kept in the browser between visits: the named presets and the
+// settings last used. A few kilobytes of JSON suit localStorage; when it is
+// full or blocked (private windows, storage policies) nothing is kept and
+// the app starts from its defaults.
+import { formatPresets, normalizeSettings, parsePresets } from './core/settings.js'
+
+const PRESETS_KEY = 'media-splitter-presets'
+const SETTINGS_KEY = 'media-splitter-settings'
+
+const read = (key) => {
+  try {
+    return localStorage.getItem(key)
+  } catch {
+    return null
+  }
+}
+
+const write = (key, text) => {
+  try {
+    localStorage.setItem(key, text)
+  } catch (err) {
+    console.warn(`Could not save ${key}:`, err)
+  }
+}
+
+export const loadPresets = () => {
+  const text = read(PRESETS_KEY)
+  if (!text) return []
+  try {
+    return parsePresets(text)
+  } catch {
+    return []
+  }
+}
+
+export const savePresets = (presets) => write(PRESETS_KEY, formatPresets(presets))
+
+export const loadSettings = () => {
+  try {
+    return normalizeSettings(JSON.parse(read(SETTINGS_KEY)))
+  } catch {
+    return {}
+  }
+}
+
+// Takes the settings already serialized, so an effect can depend on the text.
+export const storeSettings = (json) => write(SETTINGS_KEY, json)
@@ -0,0 +1,187 @@
+// Minimal ZIP writer using the "store" method (no compression). Part data is
+// never copied: the archive is produced as a sequence of small header buffers
+// and the original Blobs, so it can be written to disk chunk by chunk or
+// wrapped into a single Blob that merely references the parts.
+// Entries or offsets past 4 GiB switch to ZIP64 records automatically.
+
+const ZIP32_LIMIT = 0xffffffff
+const UTF8_FLAG = 0x0800
+
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256)
+  for (let n = 0; n < 256; n++) {
+    let c = n
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1
+    table[n] = c >>> 0
+  }
+  return table
+})()
+
+// Streams the blob once to checksum it, so large parts are never held whole.
+const crc32 = async (blob) => {
+  let crc = 0xffffffff
+  const reader = blob.stream().getReader()
+  for (;;) {
+    const { done, value } = await reader.read()
+    if (done) break
+    for (let i = 0; i < value.length; i++) crc = CRC_TABLE[(crc ^ value[i]) & 0xff] ^ (crc >>> 8)
+  }
+  return (crc ^ 0xffffffff) >>> 0
+}
+
+const dosDateTime = (date) => ({
+  time: (date.getHours() << 11) | (date.getMinutes() << 5) | (date.getSeconds() >> 1),
+  date: ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate(),
+})
+
+const record = (size, write) => {
+  const bytes = new Uint8Array(size)
+  write(new DataView(bytes.buffer), bytes)
+  return bytes
+}
+
+const localHeader = (entry) => {
+  const extraLength = entry.zip64 ? 20 : 0
+  return record(30 + entry.nameBytes.length + extraLength, (view, bytes) => {
+    view.setUint32(0, 0x04034b50, true)
+    view.setUint16(4, entry.zip64 ? 45 : 20, true)
+    view.setUint16(6, UTF8_FLAG, true)
+    view.setUint16(8, 0, true)
+    view.setUint16(10, entry.dos.time, true)
+    view.setUint16(12, entry.dos.date, true)
+    view.setUint32(14, entry.crc, true)
+    view.setUint32(18, entry.zip64 ? ZIP32_LIMIT : entry.size, true)
+    view.setUint32(22, entry.zip64 ? ZIP32_LIMIT : entry.size, true)
+    view.setUint16(26, entry.nameBytes.length, true)
+    view.setUint16(28, extraLength, true)
+    bytes.set(entry.nameBytes, 30)
+    if (entry.zip64) {
+      const at = 30 + entry.nameBytes.length
+      view.setUint16(at, 0x0001, true)
+      view.setUint16(at + 2, 16, true)
+      view.setBigUint64(at + 4, BigInt(entry.size), true)
+      view.setBigUint64(at + 12, BigInt(entry.size), true)
+    }
+  })
+}
+
+const centralHeader = (entry) => {
+  const zip64 = entry.zip64 || entry.offset >= ZIP32_LIMIT
+  const extraLength = zip64 ? 28 : 0
+  return record(46 + entry.nameBytes.length + extraLength, (view, bytes) => {
+    view.setUint32(0, 0x02014b50, true)
+    view.setUint16(4, 45, true)
+    view.setUint16(6, zip64 ? 45 : 20, true)
+    view.setUint16(8, UTF8_FLAG, true)
+    view.setUint16(10, 0, true)
+    view.setUint16(12, entry.dos.time, true)
+    view.setUint16(14, entry.dos.date, true)
+    view.setUint32(16, entry.crc, true)
+    view.setUint32(20, zip64 ? ZIP32_LIMIT : entry.size, true)
+    view.setUint32(24, zip64 ? ZIP32_LIMIT : entry.size, true)
+    view.setUint16(28, entry.nameBytes.length, true)
+    view.setUint16(30, extraLength, true)
+    view.setUint32(42, zip64 ? ZIP32_LIMIT : entry.offset, true)
+    bytes.set(entry.nameBytes, 46)
+    if (zip64) {
+      const at = 46 + entry.nameBytes.length
+      view.setUint16(at, 0x0001, true)
+      view.setUint16(at + 2, 24, true)
+      view.setBigUint64(at + 4, BigInt(entry.size), true)
+      view.setBigUint64(at + 12, BigInt(entry.size), true)
+      view.setBigUint64(at + 20, BigInt(entry.offset), true)
+    }
+  })
+}
+
+const endRecords = (count, directoryOffset, directorySize) => {
+  const chunks = []
+  const zip64 = count >= 0xffff || directoryOffset >= ZIP32_LIMIT || directorySize >= ZIP32_LIMIT
+  if (zip64) {
+    chunks.push(record(56, (view) => {
+      view.setUint32(0, 0x06064b50, true)
+      view.setBigUint64(4, 44n, true)
+      view.setUint16(12, 45, true)
+      view.setUint16(14, 45, true)
+      view.setBigUint64(24, BigInt(count), true)
+      view.setBigUint64(32, BigInt(count), true)
+      view.setBigUint64(40, BigInt(directorySize), true)
+      view.setBigUint64(48, BigInt(directoryOffset), true)
+    }))
+    chunks.push(record(20, (view) => {
+      view.setUint32(0, 0x07064b50, true)
+      view.setBigUint64(8, BigInt(directoryOffset + directorySize), true)
+      view.setUint32(16, 1, true)
+    }))
+  }
+  chunks.push(record(22, (view) => {
+    view.setUint32(0, 0x06054b50, true)
+    view.setUint16(8, zip64 ? 0xffff : count, true)
+    view.setUint16(10, zip64 ? 0xffff : count, true)
+    view.setUint32(12, zip64 ? ZIP32_LIMIT : directorySize, true)
+    view.setUint32(16, zip64 ? ZIP32_LIMIT : directoryOffset, true)
+  }))
+  return chunks
+}
+
+/**
+ * Yields the archive as Uint8Array headers interleaved with the entry Blobs.
+ * @param {{ name: string, blob: Blob }[]} files
+ * @param {(done: number, total: number) => void} [onProgress] called as each entry is checksummed
+ */
+export async function* zipChunks(files, onProgress) {
+  const encoder = new TextEncoder()
+  const dos = dosDateTime(new Date())
+  const entries = []
+  let offset = 0
+
+  for (let i = 0; i < files.length; i++) {
+    const { name, blob } = files[i]
+    const entry = {
+      nameBytes: encoder.encode(name),
+      size: blob.size,
+      crc: await crc32(blob),
+      dos,
+      offset,
+      zip64: blob.size >= ZIP32_LIMIT,
+    }
+    entries.push(entry)
+    onProgress?.(i + 1, files.length)
+
+    const header = localHeader(entry)
+    yield header
+    yield blob
+    offset += header.length + blob.size
+  }
+
+  let directorySize = 0
+  for (const entry of entries) {
+    const header = centralHeader(entry)
+    directorySize += header.length
+    yield header
+  }
+  yield* endRecords(entries.length, offset, directorySize)
+}
+
+/**
+ * Builds the archive as a Blob. The Blob references the part Blobs rather
+ * than copying them, so memory use stays at roughly the size of the parts.
+ */
+export const createZipBlob = async (files, onProgress) => {
+  const chunks = []
+  for await (const chunk of zipChunks(files, onProgress)) chunks.push(chunk)
+  return new Blob(chunks, { type: 'application/zip' })
+}
+
+/**
+ * Streams the archive straight into a FileSystemWritableFileStream.
+ */
+export const writeZip = async (files, writable, onProgress) => {
+  try {
+    for await (const chunk of zipChunks(files, onProgress)) await writable.write(chunk)
+    await writable.close()
+  } catch (err) {
+    await writable.abort?.()
+    throw err
+  }
+}
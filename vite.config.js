@@ -1,15 +1,40 @@
+import { createHash } from 'node:crypto'
+import { readdirSync, readFileSync } from 'node:fs'
 import { defineConfig } from 'vite'
 import react from '@vitejs/plugin-react'
 
+// Emits sw.js from src/service-worker.js with every built file (and the
+// public ones) listed for precaching. The version changes with the file
+// list, so each deploy installs a fresh cache.
+const serviceWorker = () => ({
+  name: 'media-splitter:service-worker',
+  apply: 'build',
+  enforce: 'post',
+  generateBundle(_, bundle) {
+    const built = Object.keys(bundle).filter(name => name !== 'index.html' && !name.endsWith('.map'))
+    const copied = readdirSync('public').filter(name => !name.startsWith('_') && name !== 'ads.txt')
+    const files = ['/', ...[...built, ...copied].sort().map(name => `/${name}`)]
+    const version = createHash('sha256').update(files.join('\n')).digest('hex').slice(0, 12)
+    const source = readFileSync('src/service-worker.js', 'utf8')
+      .replace('self.__CACHE_VERSION', JSON.stringify(version))
+      .replace('self.__PRECACHE_MANIFEST', JSON.stringify(files))
+    this.emitFile({ type: 'asset', fileName: 'sw.js', source })
+  },
+})
+
 // https://vite.dev/config/
 export default defineConfig({
-  plugins: [react()],
+  plugins: [react(), serviceWorker()],
   server: {
     headers: {
       'Cross-Origin-Opener-Policy': 'same-origin',
       'Cross-Origin-Embedder-Policy': 'require-corp',
     },
   },
+  build: {
+    // The core's pthread worker has to stay a real same-origin file
+    assetsInlineLimit: (file) => (file.endsWith('ffmpeg-core.worker.js') ? false : undefined),
+  },
   optimizeDeps: {
     exclude: ['@ffmpeg/ffmpeg', '@ffmpeg/util'],
   },